@@ -0,0 +1,178 @@
+/**
+ * History CLI
+ * Query and export detection history
+ *
+ * Usage: node src/index.js history [--days 7 | --from 2024-01-01 --to 2024-01-07]
+ *          [--keyword غياب] [--chat "Work Group"] [--all]
+ *          [--format table|csv|json] [--output report.csv]
+ */
+
+import fs from "fs/promises";
+import { parseArgs } from "util";
+import { history } from "../modules/history.js";
+
+// Constants
+const FORMATS = ["table", "csv", "json"];
+const CSV_COLUMNS = [
+  "detectedAt",
+  "keyword",
+  "rule",
+  "action",
+  "late",
+  "chat",
+  "sender",
+  "text",
+  "messageKey",
+  "alarmAt",
+  "ackAt",
+  "ackBy",
+];
+const UTF8_BOM = "\uFEFF"; // Lets Excel show Arabic text correctly
+const CSV_FORMULA_PREFIX = /^[=+\-@]/; // Spreadsheets run these as formulas
+const TABLE_TEXT_LENGTH = 40;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const USAGE = `Usage: node src/index.js history [options]
+
+Options:
+  --days <n>         Only the last n days
+  --from <date>      Start date (YYYY-MM-DD or ISO time)
+  --to <date>        End date, inclusive (YYYY-MM-DD or ISO time)
+  --keyword <text>   Only this keyword
+  --chat <name>      Only this chat
+  --all              Include processed messages without a match
+  --format <type>    table (default), csv or json
+  --output <file>    Write to a file instead of the console
+  --help             Show this help`;
+
+/**
+ * Parse a date option
+ * Bare dates are local days; as --to they cover the whole day
+ */
+function parseDate(value, endOfDay = false) {
+  if (!value) return null;
+
+  const isBareDate = /^\d{4}-\d{2}-\d{2}$/.test(value);
+  const date = new Date(isBareDate ? `${value}T00:00:00` : value);
+  if (isNaN(date.getTime())) {
+    throw new Error(`Invalid date: ${value}`);
+  }
+  if (isBareDate && endOfDay) {
+    date.setHours(23, 59, 59, 999);
+  }
+  return date;
+}
+
+/**
+ * Quote a CSV field when needed
+ * Fields that look like formulas get a leading ' so they open as text
+ */
+function toCsvField(value) {
+  let text = value === null || value === undefined ? "" : String(value);
+  if (CSV_FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function formatCsv(rows) {
+  const lines = [CSV_COLUMNS.join(",")];
+  for (const row of rows) {
+    lines.push(CSV_COLUMNS.map((column) => toCsvField(row[column])).join(","));
+  }
+  return `${lines.join("\r\n")}\r\n`;
+}
+
+function formatTable(rows) {
+  if (rows.length === 0) return "No matching history";
+
+  const lines = rows.map((row) => {
+    const ack = row.ackAt ? `ack ${row.ackAt} (${row.ackBy})` : "not acked";
+    const text = (row.text || "")
+      .replace(/\s+/g, " ")
+      .substring(0, TABLE_TEXT_LENGTH);
+    const late = row.late ? " (late)" : "";
+    return `${row.detectedAt}${late}  [${row.chat || "Unknown"}] ${row.sender || ""} "${row.keyword || "-"}": ${text}  ${ack}`;
+  });
+  lines.push(`${rows.length} record(s)`);
+  return lines.join("\n");
+}
+
+/**
+ * Run the history command
+ * @param {Array<string>} args - Arguments after "history"
+ * @returns {Promise<number>} Exit code
+ */
+export async function runHistoryCommand(args) {
+  let options;
+  try {
+    ({ values: options } = parseArgs({
+      args,
+      options: {
+        days: { type: "string" },
+        from: { type: "string" },
+        to: { type: "string" },
+        keyword: { type: "string" },
+        chat: { type: "string" },
+        all: { type: "boolean", default: false },
+        format: { type: "string", default: "table" },
+        output: { type: "string" },
+        help: { type: "boolean", default: false },
+      },
+    }));
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return 1;
+  }
+
+  if (options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  if (!FORMATS.includes(options.format)) {
+    console.error(`Unknown format "${options.format}" (${FORMATS.join(", ")})`);
+    return 1;
+  }
+
+  try {
+    const days = Number(options.days);
+    if (options.days && !(days > 0)) {
+      throw new Error(`Invalid --days: ${options.days}`);
+    }
+
+    const from = days
+      ? new Date(Date.now() - days * DAY_MS)
+      : parseDate(options.from);
+    const rows = await history.query({
+      from,
+      to: parseDate(options.to, true),
+      keyword: options.keyword,
+      chat: options.chat,
+      includeMessages: options.all,
+    });
+
+    let output;
+    if (options.format === "csv") {
+      output = formatCsv(rows);
+    } else if (options.format === "json") {
+      output = JSON.stringify(rows, null, 2);
+    } else {
+      output = formatTable(rows);
+    }
+
+    if (options.output) {
+      const prefix = options.format === "csv" ? UTF8_BOM : "";
+      await fs.writeFile(options.output, prefix + output);
+      console.log(`Wrote ${rows.length} record(s) to ${options.output}`);
+    } else {
+      console.log(output);
+    }
+    return 0;
+  } catch (error) {
+    console.error(`History error: ${error.message}`);
+    return 1;
+  }
+}
+
+export default runHistoryCommand;
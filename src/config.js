@@ -10,6 +10,16 @@ export const config = {
     userDataDir: "./user_data", // Persist login state (QR scan only once)
     timeout: 120000, // 120 seconds for page load
     whatsappUrl: "https://web.whatsapp.com",
+
+    // Login QR code: printed in the terminal and saved as a PNG, so the
+    // phone can scan it even when the browser runs headless
+    qrLogin: {
+      timeoutMs: 120000, // Give up if nobody scans within this time
+      terminal: true, // Print the QR code in the console
+      imageFile: "./data/login-qr.png", // '' = do not save an image
+      pollIntervalMs: 1000, // How often to check for a new QR code
+      autoReload: true, // Click "reload QR code" when it expires
+    },
   },
 
   // Message Detection Settings
@@ -27,10 +37,61 @@ export const config = {
     wholeWordMatch: false, // Set to true for exact word boundaries
     caseSensitive: false, // Arabic is case-sensitive by default
 
+    // Keyword matching mode: 'exact', 'stem' (root family via light stemmer)
+    // or 'fuzzy' (stem or up to maxEditDistance typos)
+    // Per keyword: { value: "غياب", mode: "fuzzy", maxEditDistance: 1 }
+    matchMode: "exact",
+    maxEditDistance: 1,
+
+    // Arabic normalization (applied identically to messages and keywords)
+    normalization: {
+      removeDiacritics: true, // Strip harakat, tanween, shadda, sukun
+      foldAlef: true, // أ إ آ ٱ → ا
+      foldYaa: true, // ى → ي
+      foldTaaMarbuta: true, // ة → ه
+      convertDigits: true, // ٠١٢٣ / ۰۱۲۳ → 0123
+      stripBidi: true, // Remove bidi control characters
+    },
+
+    // Franco-Arabic (Arabizi) matching: "3'eyab", "ta2kheer" match Arabic keywords
+    arabizi: {
+      enabled: false, // Opt-in: Latin chat can still produce false matches
+    },
+
+    // Detection rules (when empty, a single rule is built from `keywords`,
+    // `wholeWordMatch` and `caseSensitive` above)
+    // Each rule:
+    //   id: "absence",
+    //   patterns: ["غياب", { type: "word", value: "تأخر" }, { type: "regex", value: "غا?يا?ب" }],
+    //   // Boolean expression: AND, OR, NOT, "phrases", NEAR/n
+    //   //   { type: "expression", value: '(غياب OR تأخير) AND NOT "لا يوجد"' }
+    //   match: { caseSensitive: false, wholeWordMatch: false, mode: "exact" },
+    //   chats: ["Work Group"], // empty = any chat
+    //   senders: [], // empty = any sender
+    //   activeHours: { start: "07:00", end: "15:00", days: [0, 1, 2, 3, 4] },
+    //   action: "alarm", // 'alarm', 'log' or 'notify'
+    rules: [],
+
     // Duplicate protection: track message hashes to avoid re-triggering
     enableDuplicateProtection: true,
     duplicateCacheTTL: 3600000, // 1 hour in milliseconds
 
+    // Restart recovery: remember handled messages and the newest processed
+    // message time, then accept messages since then on the next start
+    checkpoint: {
+      enabled: true,
+      file: "./data/checkpoint.json",
+      maxBacklogMs: 86400000, // Ignore checkpoints older than 24 hours
+    },
+
+    // Catch-up scan: check messages already on screen at startup and after
+    // the page recovers, so a keyword sent shortly before is not missed
+    catchUp: {
+      enabled: true,
+      lookbackMs: 600000, // Accept messages up to 10 minutes old
+      scanChatList: true, // Also check unread chat-list previews
+    },
+
     // Chat filtering
     chatFilter: {
       enabled: false, // DISABLED - Monitor all chats
@@ -44,6 +105,12 @@ export const config = {
       ],
     },
 
+    // Chat-list sidebar monitoring (detect keywords in chats that are not open)
+    chatList: {
+      enabled: true, // Watch last-message previews in the chat list
+      requireUnread: true, // Only react to rows showing an unread badge
+    },
+
     // DOM observer settings
     observer: {
       debounceMs: 500, // Debounce message processing (avoid duplicate detections)
@@ -60,6 +127,17 @@ export const config = {
     // Audio file path (relative to project root)
     soundFile: "./assets/alarm.mp3",
 
+    // Per-trigger sounds: first entry whose keywords/rules/chats all match wins
+    // (omitted criteria are ignored); unmatched triggers use soundFile above
+    // { name: "absence", keywords: ["غياب", "الغياب"], rules: [], chats: [],
+    //   soundFile: "./assets/absence.mp3", loop: true }
+    sounds: [],
+
+    // Audio player backend: 'auto' or one of
+    // 'powershell' (Windows), 'afplay' (macOS), 'mpg123', 'ffplay', 'paplay', 'aplay' (Linux)
+    // or a custom player: { command: "/path/to/player", args: ["{file}"] }
+    player: "auto",
+
     // Play indefinitely until manually stopped
     loop: true,
 
@@ -75,6 +153,128 @@ export const config = {
 
     // Keyboard shortcut to stop alarm
     stopKeybind: "Escape", // Press ESC to stop
+
+    // Key to acknowledge pending alerts one by one (Shift = all)
+    ackKey: "a",
+
+    // Escalation profile: start quiet, ramp up, then switch to a louder sound
+    escalation: {
+      enabled: false,
+      startVolume: 30, // Initial volume percentage (ramps up to targetVolume)
+      rampMs: 120000, // Time to reach targetVolume (2 minutes)
+      soundFile: "./assets/alarm.mp3", // Louder sound used after switchAfterMs
+      switchAfterMs: 180000, // Switch sound if not acknowledged (3 minutes)
+    },
+
+    // Snooze: silence temporarily, re-arm if not acknowledged with ESC
+    snooze: {
+      key: "s", // Press S to snooze
+      durationMs: 300000, // 5 minutes
+      maxSnoozes: 3, // 0 = unlimited
+    },
+  },
+
+  // Text-to-speech announcement of the triggering message
+  announcement: {
+    enabled: false,
+    language: "auto", // 'auto' (from message script), 'ar' or 'en'
+    maxTextLength: 80, // Characters of the message read aloud
+    rate: 0, // Speech rate (-10 slow .. 10 fast)
+    timeoutMs: 30000, // Give up if speech takes longer
+    templates: {
+      ar: "تنبيه. {keyword}. في {chat}. {text}",
+      en: "Alert. {keyword}. In {chat}. {text}",
+    },
+    voices: {
+      // Windows SAPI voice names (empty = first installed voice for the language)
+      windows: { ar: "", en: "" },
+      // espeak-ng / espeak voice names
+      espeak: { ar: "ar", en: "en" },
+    },
+  },
+
+  // Confirm in WhatsApp when the alarm is stopped (types into the chat!)
+  acknowledgement: {
+    enabled: false,
+    mode: "reply", // 'reply', 'react' or 'both'
+    replyText: "received ✅",
+    quote: true, // Reply quoting the triggering message
+    reaction: "👍", // Must be in WhatsApp's quick reaction tray (👍 ❤️ 😂 😮 😢 🙏)
+    timeoutMs: 10000, // Wait for the chat to open
+  },
+
+  // Local HTTP control API (status, stop/test alarm, event stream)
+  controlApi: {
+    enabled: false,
+    host: "127.0.0.1", // Use '0.0.0.0' to allow phones on the LAN
+    port: 8787,
+    token: "", // Required on every request; empty = random token printed at startup
+    dashboard: true, // Serve the web dashboard at http://host:port/?token=...
+    settingsFile: "./data/settings.json", // Keywords/whitelist edited in the dashboard
+  },
+
+  // Outgoing webhooks: JSON POST to each target on every detection
+  webhooks: {
+    enabled: false,
+    // { name: "ops", url: "https://example.com/hooks/sa7eny", secret: "shared-secret",
+    //   headers: {}, enabled: true }
+    // With a secret, X-Sa7eny-Signature carries "sha256=" + HMAC-SHA256(secret, body)
+    targets: [],
+    timeoutMs: 10000, // Per request
+    outboxFile: "./data/webhook-outbox.json", // Undelivered payloads survive restarts
+    outboxRetryIntervalMs: 60000, // Retry outbox after resilience retries run out
+  },
+
+  // Remote notifications on every detection (alongside the local alarm)
+  // Templates: {keyword}, {chat}, {sender}, {rule}, {text}, {time}
+  notifications: {
+    timeoutMs: 10000, // Per request
+    telegram: {
+      enabled: false,
+      baseUrl: "https://api.telegram.org",
+      botToken: "", // From @BotFather
+      chatId: "", // User or group id to message
+      template: "🚨 {keyword}\n{chat} / {sender}\n{text}",
+    },
+    ntfy: {
+      enabled: false,
+      baseUrl: "https://ntfy.sh", // Or your own ntfy server
+      topic: "",
+      token: "", // Access token for protected topics
+      priority: 5, // 1 (min) .. 5 (max)
+      template: "{chat} / {sender}: {text}",
+    },
+    gotify: {
+      enabled: false,
+      baseUrl: "", // e.g. "https://gotify.example.com"
+      appToken: "",
+      priority: 8,
+      template: "{chat} / {sender}: {text}",
+    },
+    email: {
+      enabled: false,
+      host: "smtp.example.com",
+      port: 587,
+      secure: false, // true for port 465; 587 upgrades with STARTTLS
+      username: "",
+      password: "",
+      from: "Sa7eny <alarm@example.com>",
+      to: [], // Recipient addresses
+      subject: "Sa7eny: {keyword} in {chat}",
+      template:
+        "Keyword: {keyword}\nChat: {chat}\nSender: {sender}\nTime: {time}\n\n{text}",
+    },
+    desktop: {
+      enabled: false, // Windows toast, macOS notification, Linux notify-send
+      template: "{chat} / {sender}: {text}",
+    },
+  },
+
+  // Detection history (query with: npm run history -- --help)
+  history: {
+    enabled: true,
+    file: "./data/history.jsonl", // Append-only, one JSON record per line
+    recordAllMessages: false, // Also store processed messages without a match
   },
 
   // Logging Settings
@@ -85,6 +285,28 @@ export const config = {
     includeStackTrace: false, // Show stack traces on errors
   },
 
+  // WhatsApp session heartbeat: detects logged out, phone not connected
+  // and "open in another window", and raises a "monitoring degraded" alarm
+  health: {
+    enabled: true,
+    heartbeatIntervalMs: 30000, // How often to probe the session
+    probeTimeoutMs: 10000, // Page must answer a probe within this time
+    degradedAfterMs: 120000, // Problem must last this long before alarming
+    alarm: true, // Sound the alarm (rule "health" for a per-trigger sound)
+    notify: true, // Also send remote notifications (config.notifications)
+    autoUseHere: true, // Click "Use here" when open in another window
+  },
+
+  // Browser supervisor: relaunch Chrome (same profile) when it crashes or
+  // disconnects, or when the observer stops responding
+  // Recovery attempts use resilience.maxRetries / retryDelayMs
+  supervisor: {
+    enabled: true,
+    checkIntervalMs: 15000, // How often to check browser and observer
+    stallTimeoutMs: 60000, // No successful poll for this long = stalled
+    probeTimeoutMs: 10000, // Page must answer a probe within this time
+  },
+
   // Retry & Resilience Settings
   resilience: {
     maxRetries: 3, // Max retries on failure
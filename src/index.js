@@ -11,12 +11,24 @@ import { logger } from "./utils/logger.js";
 import { browserManager } from "./modules/browser.js";
 import { MessageWatcher } from "./modules/watcher.js";
 import { alarm } from "./modules/alarm.js";
+import { ruleEngine } from "./modules/ruleEngine.js";
+import { alertQueue } from "./modules/alertQueue.js";
+import { announcer } from "./modules/announcer.js";
+import { eventLog } from "./modules/eventLog.js";
+import { controlServer } from "./modules/controlServer.js";
+import { settingsStore } from "./modules/settings.js";
+import { webhooks } from "./modules/webhooks.js";
+import { notifier } from "./modules/notifier.js";
+import { history } from "./modules/history.js";
+import { supervisor } from "./modules/supervisor.js";
+import { sessionHealth } from "./modules/sessionHealth.js";
+import { runHistoryCommand } from "./cli/history.js";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
 // Constants
-const KEEPALIVE_INTERVAL_MS = 60000; // 1 minute
 const EXIT_FAILURE = 1;
+const HEALTH_RULE = "health"; // Rule name of "monitoring degraded" alarms
 
 class WhatsAppAlarmSystem {
   constructor() {
@@ -24,7 +36,9 @@ class WhatsAppAlarmSystem {
     this.page = null;
     this.watcher = null;
     this.pollInterval = null;
+    this.heartbeatInterval = null;
     this.isRunning = false;
+    this.activeAlerts = []; // Alerts the current alarm rings for (snooze re-arms add to it)
   }
 
   /**
@@ -34,10 +48,15 @@ class WhatsAppAlarmSystem {
     try {
       this._printStartupBanner();
 
+      await settingsStore.load();
+
       await this._initializeAlarm();
+      await webhooks.initialize();
       await this._initializeBrowser();
       await this._initializeWatcher();
       await this._startMonitoring();
+      await this._startControlServer();
+      this._startSupervisor();
 
       this._printReadyMessage();
       this._setupEventHandlers();
@@ -79,10 +98,24 @@ class WhatsAppAlarmSystem {
     logger.debug("Navigating to WhatsApp...");
     await browserManager.navigateToWhatsApp();
 
+    await this._waitForLogin();
+
     logger.debug("Waiting for UI ready...");
     await browserManager.waitForUIReady();
   }
 
+  /**
+   * Wait for WhatsApp login (QR code shown in the terminal if needed)
+   * @throws {Error} If nobody logged in before the timeout
+   */
+  async _waitForLogin() {
+    const login = await browserManager.waitForLogin();
+    eventLog.record("login", login);
+    if (!login.loggedIn) {
+      throw new Error(`WhatsApp login ${login.status}`);
+    }
+  }
+
   /**
    * Initialize message watcher
    */
@@ -106,10 +139,117 @@ class WhatsAppAlarmSystem {
     this.pollInterval = await this.watcher.startPolling();
     this.isRunning = true;
 
-    // Add keepalive to prevent process from exiting
-    setInterval(() => {
-      logger.debug("System keepalive tick");
-    }, KEEPALIVE_INTERVAL_MS);
+    // Heartbeat: probe the WhatsApp session (also keeps the process alive)
+    sessionHealth.start({
+      onDegraded: (state, description) =>
+        this.onMonitoringDegraded(state, description),
+      onRestored: (state) => this.onMonitoringRestored(state),
+    });
+    this.heartbeatInterval = setInterval(
+      () => this._heartbeat(),
+      config.health.heartbeatIntervalMs,
+    );
+  }
+
+  /**
+   * One heartbeat: probe the session unless the browser is being replaced
+   */
+  async _heartbeat() {
+    if (supervisor.isRecovering) return;
+
+    try {
+      const state = await sessionHealth.check();
+      logger.debug(`Heartbeat: session ${state ?? "not checked"}`);
+    } catch (error) {
+      logger.debug(`Heartbeat error: ${error.message}`);
+    }
+  }
+
+  /**
+   * The session has been unusable for longer than health.degradedAfterMs:
+   * keywords cannot be detected, so wake someone up
+   */
+  async onMonitoringDegraded(state, description) {
+    logger.error("");
+    logger.error("╔════════════════════════════════════════╗");
+    logger.error("║     ⚠️ MONITORING DEGRADED ⚠️           ║");
+    logger.error("╚════════════════════════════════════════╝");
+    logger.error(description);
+    logger.error("Messages are NOT being monitored until this is fixed");
+    eventLog.record("health:degraded", { state, description });
+
+    if (config.health.notify) {
+      notifier.notify({
+        keyword: "monitoring degraded",
+        rule: HEALTH_RULE,
+        chatName: "Sa7eny",
+        text: description,
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    if (config.health.alarm && !alarm.getStatus().isPlaying) {
+      this._resetActiveAlerts();
+      await alarm.start({ keyword: "monitoring degraded", rule: HEALTH_RULE });
+      eventLog.record("alarm:start", { rule: HEALTH_RULE, state });
+    }
+  }
+
+  /**
+   * The session works again after a degraded alarm
+   */
+  onMonitoringRestored(previousState) {
+    logger.info(`✅ Monitoring restored (was ${previousState})`);
+    eventLog.record("health:restored", { previous: previousState });
+  }
+
+  /**
+   * Watch the browser and observer, recovering when they die
+   */
+  _startSupervisor() {
+    supervisor.start({
+      getWatcher: () => this.watcher,
+      restart: (relaunch) => this._restartMonitoring(relaunch),
+      onGiveUp: (reason) =>
+        this.onMonitoringDegraded(
+          "unrecoverable",
+          `Browser could not be recovered (${reason}), still retrying`,
+        ),
+      onRecovered: () => this.onMonitoringRestored("unrecoverable"),
+    });
+  }
+
+  /**
+   * Bring monitoring back after a crash or reload
+   * @param {boolean} relaunch - Relaunch the browser, or only re-inject
+   */
+  async _restartMonitoring(relaunch) {
+    if (this.pollInterval) {
+      clearInterval(this.pollInterval);
+      this.pollInterval = null;
+    }
+
+    if (relaunch) {
+      this.page = await browserManager.relaunch();
+      this.browser = browserManager.browser;
+    } else {
+      await this._waitForLogin();
+      await browserManager.waitForUIReady();
+    }
+
+    await this.watcher.attach(this.page);
+    this.pollInterval = await this.watcher.startPolling();
+  }
+
+  /**
+   * Start the HTTP control API if enabled
+   */
+  async _startControlServer() {
+    await controlServer.start({
+      getStatus: () => this.getStatus(),
+      stopAlarm: (source) => this.stopAlarm(source),
+      testAlarm: (source) => this.testAlarm(source),
+    });
   }
 
   /**
@@ -119,9 +259,13 @@ class WhatsAppAlarmSystem {
     logger.info("========================================");
     logger.info("✅ System Ready - Monitoring Messages");
     logger.info("========================================");
-    logger.info(`Keywords: ${config.detection.keywords.join(", ")}`);
+    logger.info(`Rules: ${ruleEngine.describe()}`);
     logger.info(`Alarm sound: ${config.alarm.soundFile}`);
     logger.info(`Stop alarm with: ${config.alarm.stopKeybind}`);
+    logger.info(`Snooze alarm with: ${config.alarm.snooze.key.toUpperCase()}`);
+    logger.info(
+      `Acknowledge alerts with: ${config.alarm.ackKey.toUpperCase()}`,
+    );
     logger.info("========================================");
   }
 
@@ -135,27 +279,84 @@ class WhatsAppAlarmSystem {
 
   /**
    * Handle keyword detection
-   * Triggers alarm and logs the event
+   * Records the alert, triggers alarm and logs the event
    */
   async onKeywordDetected(messageData) {
     try {
       logger.debug("onKeywordDetected callback triggered!");
-      const { keyword, text, chatName, timestamp } = messageData;
+      const {
+        keyword,
+        rule,
+        action,
+        text,
+        chatName,
+        sender,
+        isGroup,
+        late,
+        sentAt,
+        timestamp,
+      } = messageData;
 
       logger.info("");
       logger.info("╔════════════════════════════════════════╗");
       logger.info("║       🚨 ALARM TRIGGERED 🚨            ║");
       logger.info("╚════════════════════════════════════════╝");
+      if (late) {
+        logger.info(`⏰ LATE: found by catch-up scan, sent ${sentAt}`);
+      }
       logger.info(`Keyword: ${keyword}`);
-      logger.info(`Chat: ${chatName || "Unknown"}`);
+      logger.info(`Rule: ${rule || "Unknown"}`);
+      logger.info(`Chat: ${chatName || "Unknown"}${isGroup ? " (group)" : ""}`);
+      logger.info(`Sender: ${sender || "Unknown"}`);
       logger.info(`Message: ${text.substring(0, 80)}`);
       logger.info(`Time: ${timestamp}`);
       logger.info("");
 
-      // Start alarm
+      eventLog.record("detection", {
+        keyword,
+        rule,
+        action,
+        text,
+        chatName,
+        sender,
+        isGroup,
+        late,
+        sentAt,
+        timestamp,
+      });
+
+      // Deliver to webhook targets and remote notifiers in the background
+      webhooks.dispatch(messageData);
+      notifier.notify(messageData);
+
+      if (action === "notify") {
+        logger.info(`Rule "${rule}" is notify-only, alarm not started`);
+        return;
+      }
+
+      const alert = alertQueue.add(messageData);
+      if (alarm.getStatus().isPlaying) {
+        logger.info(
+          `Alarm already active - queued alert #${alert.id} (${alertQueue.size()} pending)`,
+        );
+        return;
+      }
+
+      // Start alarm (or re-arm it early when snoozed)
       logger.debug("Calling alarm.start()...");
-      await alarm.start();
+      this._resetActiveAlerts();
+      await alarm.start({ keyword, rule, chatName });
       logger.debug("alarm.start() completed");
+      if (!alarm.getStatus().isPlaying) {
+        logger.warn(`Alarm did not start - alert #${alert.id} stays pending`);
+        return;
+      }
+      this.activeAlerts.push(alert);
+      history.recordAlarm(alert.detectionId);
+      eventLog.record("alarm:start", { keyword, rule, chatName });
+
+      // Read the alert aloud on top of the alarm tone (not awaited)
+      announcer.announce(messageData);
     } catch (error) {
       logger.error(`Keyword detection handler error: ${error.message}`);
       logger.error(error.stack);
@@ -173,14 +374,18 @@ class WhatsAppAlarmSystem {
       const char = key.toString();
       if (char === "\u001b") {
         // ESC key pressed
-        logger.info("Stop signal received (ESC)");
-        alarm.stop();
-        if (this.watcher) {
-          this.watcher.resetAfterAlarmStop();
-        }
-        logger.info(
-          "✅ Alarm stopped - System still monitoring, Go back to bed😁",
-        );
+        this.stopAlarm("ESC");
+      }
+      if (char === config.alarm.ackKey) {
+        this._acknowledgeNextAlert();
+      }
+      if (char === config.alarm.ackKey.toUpperCase()) {
+        this._acknowledgeAllAlerts();
+      }
+      if (char === config.alarm.snooze.key) {
+        alarm.snooze().then((snoozed) => {
+          if (snoozed) eventLog.record("alarm:snooze", { source: "keyboard" });
+        });
       }
       if (char === "\u0003" || char === "q") {
         // CTRL+C or Q pressed
@@ -189,6 +394,126 @@ class WhatsAppAlarmSystem {
     });
   }
 
+  /**
+   * Stop the alarm (keyboard or control API)
+   * @param {string} source - Who asked, for the log
+   * @returns {Promise<Object>} { stopped, pendingAlerts }
+   */
+  async stopAlarm(source) {
+    logger.info(`Stop signal received (${source})`);
+    const { isPlaying, isSnoozed } = alarm.getStatus();
+
+    await alarm.stop();
+    if (this.watcher) {
+      this.watcher.resetAfterAlarmStop();
+    }
+
+    // Confirm in the triggering chats (runs in the background)
+    const alerts = this.activeAlerts;
+    this.activeAlerts = [];
+    if (isPlaying || isSnoozed) {
+      // Stopping the alarm answers every alert it was ringing for
+      for (const alert of alerts) {
+        alertQueue.acknowledge(alert.id);
+        history.recordAck(alert.detectionId, source);
+        this.watcher?.acknowledgeInChat(alert);
+      }
+    }
+    logger.info("✅ Alarm stopped - System still monitoring, Go back to bed😁");
+    this._printPendingAlerts();
+
+    eventLog.record("alarm:stop", { source });
+    return {
+      stopped: isPlaying || isSnoozed,
+      pendingAlerts: alertQueue.size(),
+    };
+  }
+
+  /**
+   * Forget the alerts of a previous alarm before a new one starts
+   * A snoozed alarm is re-armed, not replaced: its alerts are still unanswered
+   */
+  _resetActiveAlerts() {
+    if (!alarm.getStatus().isSnoozed) {
+      this.activeAlerts = [];
+    }
+  }
+
+  /**
+   * Sound the alarm without a detection to check audio
+   * @param {string} source - Who asked, for the log
+   * @returns {Promise<Object>} { started }
+   */
+  async testAlarm(source) {
+    if (alarm.getStatus().isPlaying) {
+      return { started: false, reason: "Alarm already active" };
+    }
+
+    logger.info(`🔔 Test alarm requested (${source})`);
+    this._resetActiveAlerts();
+    await alarm.start({ keyword: "test", rule: "test" });
+    eventLog.record("alarm:start", { test: true, source });
+    return { started: alarm.getStatus().isPlaying };
+  }
+
+  /**
+   * Current system state for the control API and dashboard
+   */
+  getStatus() {
+    return {
+      running: this.isRunning,
+      uptimeSeconds: Math.round(process.uptime()),
+      watcher: this.watcher ? this.watcher.getStatus() : null,
+      browser: browserManager.getInfo(),
+      supervisor: supervisor.getStatus(),
+      session: sessionHealth.getStatus(),
+      alarm: alarm.getStatus(),
+      pendingAlerts: alertQueue.list(),
+      keywordHits: eventLog.getKeywordHits(),
+    };
+  }
+
+  /**
+   * Print pending alerts after the alarm is stopped
+   */
+  _printPendingAlerts() {
+    if (alertQueue.size() === 0) return;
+
+    alertQueue.logSummary();
+    const key = config.alarm.ackKey;
+    logger.info(
+      `Press ${key} to acknowledge one by one, ${key.toUpperCase()} (shift) to acknowledge all`,
+    );
+  }
+
+  /**
+   * Acknowledge the oldest pending alert and show the next one
+   */
+  _acknowledgeNextAlert() {
+    const acknowledged = alertQueue.acknowledge();
+    if (!acknowledged) {
+      logger.info("No pending alerts");
+      return;
+    }
+    history.recordAck(acknowledged.detectionId, "keyboard");
+
+    const [next] = alertQueue.list();
+    if (next) {
+      logger.info(`Next: ${alertQueue.describe(next)}`);
+    }
+  }
+
+  /**
+   * Acknowledge every pending alert
+   */
+  _acknowledgeAllAlerts() {
+    const alerts = alertQueue.list();
+    alertQueue.acknowledgeAll();
+    for (const alert of alerts) {
+      history.recordAck(alert.detectionId, "keyboard");
+    }
+  }
+
   /**
    * Setup graceful shutdown handlers
    */
@@ -210,8 +535,9 @@ class WhatsAppAlarmSystem {
 
   /**
    * Shutdown the system gracefully
+   * @param {number} exitCode - Process exit code
    */
-  async shutdown() {
+  async shutdown(exitCode = 0) {
     try {
       if (!this.isRunning) return;
 
@@ -220,15 +546,23 @@ class WhatsAppAlarmSystem {
 
       this.isRunning = false;
 
+      // Stop recovery, control API and webhook redelivery
+      supervisor.stop();
+      await controlServer.stop();
+      webhooks.stop();
+
       // Stop alarm
       if (alarm) {
         await alarm.cleanup();
       }
 
-      // Stop polling
+      // Stop polling and heartbeat
       if (this.pollInterval) {
         clearInterval(this.pollInterval);
       }
+      if (this.heartbeatInterval) {
+        clearInterval(this.heartbeatInterval);
+      }
 
       // Cleanup watcher
       if (this.watcher) {
@@ -240,8 +574,11 @@ class WhatsAppAlarmSystem {
         await browserManager.close();
       }
 
+      // Finish pending history writes
+      await history.flush();
+
       logger.info("✅ System shutdown complete");
-      process.exit(0);
+      process.exit(exitCode);
     } catch (error) {
       logger.error(`Shutdown error: ${error.message}`);
       process.exit(1);
@@ -256,6 +593,9 @@ class WhatsAppAlarmSystem {
       if (this.pollInterval) {
         clearInterval(this.pollInterval);
       }
+      if (this.heartbeatInterval) {
+        clearInterval(this.heartbeatInterval);
+      }
     } catch (error) {
       logger.debug(`Cleanup error: ${error.message}`);
     }
@@ -266,6 +606,11 @@ class WhatsAppAlarmSystem {
  * Main execution
  */
 async function main() {
+  const [command, ...args] = process.argv.slice(2);
+  if (command === "history") {
+    process.exit(await runHistoryCommand(args));
+  }
+
   const system = new WhatsAppAlarmSystem();
   await system.start();
 }
@@ -1,38 +1,46 @@
 /**
  * Alarm System Module
- * Plays audio alarm and controls system volume on Windows
+ * Plays audio alarm through a platform audio backend (Windows, Linux, macOS)
  */
 
-import { spawn } from "child_process";
 import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
 import { config } from "../config.js";
 import { logger } from "../utils/logger.js";
-import {
-  executePowerShellScript,
-  escapePowerShellPath,
-} from "../utils/powershellHelper.js";
+import { detectAudioBackend } from "../utils/audioPlayer.js";
+import { volumeControl } from "../utils/volumeControl.js";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const projectRoot = path.join(__dirname, "../..");
 
 // Constants
-const POWERSHELL_SLEEP_DURATION_SEC = 19;
-const LOOP_INTERVAL_MS = POWERSHELL_SLEEP_DURATION_SEC * 1000 + 500; // Add 500ms buffer
-const POWERSHELL_ASSEMBLY = "presentationCore";
+const MIN_TRACK_DURATION_MS = 1000; // Shorter plays are treated as failures
+const RESTART_DELAY_MS = 2000;
+const RAMP_STEP_MS = 5000; // Volume ramp granularity
 
 class AlarmSystem {
   constructor() {
     this.isPlaying = false;
-    this.isCurrentlyPlaying = false; // Track if audio is actively playing
-    this.audioProcess = null;
-    this.loopInterval = null;
+    this.audioProcesses = new Map(); // Player processes spawned by this alarm → backend
+    this.restartTimer = null;
+    this.autoStopTimer = null;
+    this.rampInterval = null;
+    this.escalationTimer = null;
+    this.snoozeTimer = null;
+    this.isSnoozed = false;
+    this.snoozeCount = 0;
+    this.currentVolume = null;
+    this.backend = null;
+    this.backendsByExtension = new Map();
     this.soundFilePath = path.join(projectRoot, config.alarm.soundFile);
+    this.currentSoundFile = this.soundFilePath;
+    this.activeProfile = null; // Sound profile of the current alarm
   }
 
   /**
    * Initialize alarm system
+   * Checks every configured sound file and detects the audio player
    */
   async initialize() {
     try {
@@ -44,8 +52,22 @@ class AlarmSystem {
         return false;
       }
 
-      logger.info("Alarm system initialized");
-      return true;
+      const missingFiles = this._findMissingSoundFiles();
+      for (const missingFile of missingFiles) {
+        logger.warn(`Configured alarm audio file not found: ${missingFile}`);
+      }
+
+      this.backend = this._getBackend(this.soundFilePath);
+      if (!this.backend) {
+        logger.warn(
+          `No audio player found for ${process.platform}. ` +
+            `Install one of: mpg123, ffplay, paplay, aplay (Linux) or use afplay (macOS)`,
+        );
+        return false;
+      }
+
+      logger.info(`Alarm system initialized (player: ${this.backend.name})`);
+      return missingFiles.length === 0;
     } catch (error) {
       logger.error(`Alarm initialization error: ${error.message}`);
       return false;
@@ -59,20 +81,122 @@ class AlarmSystem {
     return fs.existsSync(this.soundFilePath);
   }
 
+  /**
+   * List configured escalation and per-trigger sound files that do not exist
+   */
+  _findMissingSoundFiles() {
+    const files = config.alarm.sounds.map((profile) => profile.soundFile);
+
+    const escalation = config.alarm.escalation;
+    if (escalation.enabled && escalation.soundFile) {
+      files.push(escalation.soundFile);
+    }
+
+    return [...new Set(files)]
+      .filter(Boolean)
+      .map((file) => path.join(projectRoot, file))
+      .filter((file) => !fs.existsSync(file));
+  }
+
+  /**
+   * Get the audio backend for a sound file (cached per file extension)
+   */
+  _getBackend(soundFile) {
+    const extension = path.extname(soundFile).toLowerCase();
+    if (!this.backendsByExtension.has(extension)) {
+      this.backendsByExtension.set(
+        extension,
+        detectAudioBackend(soundFile, config.alarm.player),
+      );
+    }
+    return this.backendsByExtension.get(extension);
+  }
+
+  /**
+   * Pick the sound profile for a trigger
+   * First entry of config.alarm.sounds whose keywords/rules/chats all match
+   * @param {Object} context - { keyword, rule, chatName }
+   * @returns {Object} { name, soundFile, loop }
+   */
+  _resolveSoundProfile(context = {}) {
+    const profile = config.alarm.sounds.find((entry) => {
+      const criteria = [
+        [entry.keywords, context.keyword],
+        [entry.rules, context.rule],
+        [entry.chats, context.chatName],
+      ].filter(([values]) => Array.isArray(values) && values.length > 0);
+
+      return (
+        criteria.length > 0 &&
+        criteria.every(([values, value]) => values.includes(value))
+      );
+    });
+
+    if (!profile) {
+      return {
+        name: "default",
+        soundFile: this.soundFilePath,
+        loop: config.alarm.loop,
+      };
+    }
+
+    return {
+      name: profile.name || path.basename(profile.soundFile),
+      soundFile: path.join(projectRoot, profile.soundFile),
+      loop: profile.loop ?? config.alarm.loop,
+    };
+  }
+
   /**
    * Start playing alarm
+   * @param {Object} context - Trigger context ({ keyword, rule, chatName })
+   *   used to pick the sound profile
    */
-  async start() {
+  async start(context = {}) {
     if (this.isPlaying) {
       logger.warn("Alarm already playing");
       return;
     }
 
+    this.activeProfile = this._resolveSoundProfile(context);
+
+    if (this.isSnoozed) {
+      logger.info("New trigger while snoozed, re-arming alarm now");
+      this._clearSnooze();
+    } else {
+      this.snoozeCount = 0;
+    }
+
+    await this._begin();
+  }
+
+  /**
+   * Begin playback (first start or re-arm after snooze)
+   */
+  async _begin() {
     try {
       this.isPlaying = true;
-      logger.info("🔔 ALARM TRIGGERED - Playing audio loop");
+      this.currentSoundFile = this.activeProfile.soundFile;
+      logger.info(
+        `🔔 ALARM TRIGGERED - Playing audio loop (sound: ${this.activeProfile.name})`,
+      );
+
+      if (!(await this._forceVolumeIfConfigured())) {
+        logger.error("Volume control failed and fallback is disabled");
+        this.isPlaying = false;
+        return;
+      }
 
-      this._setupLoopIfEnabled();
+      // stop() or snooze() ran while the volume was being raised; their
+      // restore is queued behind the raise, so only playback is skipped
+      if (!this.isPlaying) {
+        logger.debug("Alarm stopped while raising volume");
+        this.currentVolume = null;
+        return;
+      }
+
+      this._playTrack();
+      this._setupEscalationIfEnabled();
       this._setupAutoStopIfConfigured();
     } catch (error) {
       logger.error(`Alarm start error: ${error.message}`);
@@ -81,156 +205,237 @@ class AlarmSystem {
   }
 
   /**
-   * Play initial sound
+   * Raise system volume if configured
+   * With escalation enabled, starts at the profile's start volume
+   * Returns false only when raising failed and fallback is disabled
    */
-  async _playInitialSound() {
-    await this._playOnce();
+  async _forceVolumeIfConfigured() {
+    if (!config.alarm.forceVolume) return true;
+
+    const escalation = config.alarm.escalation;
+    const initialVolume = escalation.enabled
+      ? escalation.startVolume
+      : config.alarm.targetVolume;
+
+    const raised = await volumeControl.raise(initialVolume);
+    this.currentVolume = raised ? initialVolume : null;
+    if (!raised && config.alarm.fallbackOnVolumeFailure) {
+      logger.warn("Volume control failed, playing at current volume");
+      return true;
+    }
+    return raised;
   }
 
   /**
-   * Setup loop if enabled in config
+   * Setup volume ramp and louder-sound switch for the escalation profile
    */
-  _setupLoopIfEnabled() {
-    if (config.alarm.loop) {
-      this._setupLoop();
+  _setupEscalationIfEnabled() {
+    const escalation = config.alarm.escalation;
+    if (!escalation.enabled || !this.isPlaying) return;
+
+    if (config.alarm.forceVolume && this.currentVolume !== null) {
+      this._setupVolumeRamp(escalation);
+    }
+
+    if (escalation.soundFile && escalation.switchAfterMs > 0) {
+      this.escalationTimer = setTimeout(() => {
+        this.escalationTimer = null;
+        if (!this.isPlaying) return;
+        this.currentSoundFile = path.join(projectRoot, escalation.soundFile);
+        logger.warn("⏫ Alarm not acknowledged, switching to louder sound");
+      }, escalation.switchAfterMs);
     }
   }
 
+  /**
+   * Raise volume in steps from startVolume to targetVolume over rampMs
+   */
+  _setupVolumeRamp(escalation) {
+    const from = escalation.startVolume;
+    const to = config.alarm.targetVolume;
+    const steps = Math.max(1, Math.ceil(escalation.rampMs / RAMP_STEP_MS));
+    const increment = (to - from) / steps;
+    let step = 0;
+
+    this.rampInterval = setInterval(async () => {
+      if (!this.isPlaying) return;
+      step++;
+      const volume = Math.round(step >= steps ? to : from + increment * step);
+      if (step >= steps) {
+        clearInterval(this.rampInterval);
+        this.rampInterval = null;
+      }
+
+      // Stopped while queued: _silence() restores right after this raise
+      if ((await volumeControl.raise(volume)) && this.isPlaying) {
+        this.currentVolume = volume;
+      }
+    }, RAMP_STEP_MS);
+
+    logger.debug(`Volume ramp: ${from}% → ${to}% over ${escalation.rampMs}ms`);
+  }
+
   /**
    * Setup auto-stop if configured
    */
   _setupAutoStopIfConfigured() {
-    if (config.alarm.autoStopMs > 0) {
-      setTimeout(() => this.stop(), config.alarm.autoStopMs);
+    if (config.alarm.autoStopMs > 0 && this.isPlaying) {
+      this.autoStopTimer = setTimeout(() => {
+        this.autoStopTimer = null;
+        if (this.isPlaying) this.stop();
+      }, config.alarm.autoStopMs);
     }
   }
 
   /**
-   * Play audio file once
+   * Play the sound file once and, when looping, start the next play
+   * as soon as the player reports the end of the track
    */
-  _playOnce() {
-    return new Promise((resolve) => {
-      try {
-        // Prevent overlapping playback
-        if (this.isCurrentlyPlaying) {
-          logger.debug("Audio already playing, skipping...");
-          resolve();
-          return;
-        }
-
-        if (!fs.existsSync(this.soundFilePath)) {
-          logger.error(`Audio file not found: ${this.soundFilePath}`);
-          resolve();
-          return;
-        }
-
-        this.isCurrentlyPlaying = true;
-
-        // Use PowerShell to play audio
-        const audioProcess = this._playWithPowerShell();
-
-        audioProcess.on("exit", () => {
-          this.isCurrentlyPlaying = false;
-          resolve();
-        });
-
-        audioProcess.on("error", (error) => {
-          logger.warn(`Audio playback error: ${error.message}`);
-          this.isCurrentlyPlaying = false;
-          resolve();
-        });
-
-        this.audioProcess = audioProcess;
-      } catch (error) {
-        logger.error(`Play once error: ${error.message}`);
-        this.isCurrentlyPlaying = false;
-        resolve();
-      }
+  _playTrack() {
+    if (!this.isPlaying) return;
+
+    if (!fs.existsSync(this.currentSoundFile)) {
+      logger.error(`Audio file not found: ${this.currentSoundFile}`);
+      return;
+    }
+
+    const backend = this._getBackend(this.currentSoundFile);
+    if (!backend) {
+      logger.error(`No audio player available for ${this.currentSoundFile}`);
+      return;
+    }
+
+    const startedAt = Date.now();
+    const audioProcess = backend.play(this.currentSoundFile);
+    this.audioProcesses.set(audioProcess, backend);
+    logger.debug(`Audio player started (pid: ${audioProcess.pid})`);
+
+    let finished = false;
+    const onTrackEnd = () => {
+      if (finished) return;
+      finished = true;
+      this.audioProcesses.delete(audioProcess);
+      this._scheduleNextTrack(Date.now() - startedAt);
+    };
+
+    audioProcess.on("exit", onTrackEnd);
+    audioProcess.on("error", (error) => {
+      logger.warn(`Audio playback error: ${error.message}`);
+      onTrackEnd();
     });
   }
 
   /**
-   * Play audio using PowerShell (built-in on Windows)
+   * Re-arm playback after a track ended
+   * Players that exit almost immediately (bad file, busy device) are
+   * retried after a delay instead of respawning in a tight loop
    */
-  _playWithPowerShell() {
-    const script = this._buildPowerShellScript();
-    return executePowerShellScript(script, {
-      stdio: "ignore",
-      windowsHide: true,
-      detached: false,
-    });
+  _scheduleNextTrack(playedMs) {
+    if (!this.isPlaying || !this.activeProfile?.loop) return;
+
+    const delayMs = playedMs < MIN_TRACK_DURATION_MS ? RESTART_DELAY_MS : 0;
+    this.restartTimer = setTimeout(() => {
+      this.restartTimer = null;
+      this._playTrack();
+    }, delayMs);
   }
 
   /**
-   * Build PowerShell script for audio playback
+   * Stop alarm playback (acknowledge)
+   * Only the player processes spawned by this alarm are stopped
    */
-  _buildPowerShellScript() {
-    const escapedPath = escapePowerShellPath(this.soundFilePath);
-    return `Add-Type -AssemblyName ${POWERSHELL_ASSEMBLY}; $mediaPlayer = New-Object system.windows.media.mediaplayer; $mediaPlayer.open('${escapedPath}'); $mediaPlayer.Play(); Start-Sleep -Seconds ${POWERSHELL_SLEEP_DURATION_SEC}`;
+  async stop() {
+    try {
+      if (!this.isPlaying && !this.isSnoozed) {
+        logger.debug("Alarm not playing");
+        return;
+      }
+
+      this._clearSnooze();
+      this.snoozeCount = 0;
+      await this._silence();
+
+      logger.info("🛑 Alarm stopped");
+    } catch (error) {
+      logger.error(`Alarm stop error: ${error.message}`);
+    }
   }
 
   /**
-   * Setup loop interval for continuous playback
+   * Silence the alarm for the configured snooze period
+   * Re-arms automatically unless stop() acknowledges it first
    */
-  _setupLoop() {
-    // Play immediately first
-    this._playOnce();
-
-    // Then setup interval for subsequent plays
-    this.loopInterval = setInterval(async () => {
-      if (this.isPlaying) {
-        await this._playOnce();
-      }
-    }, LOOP_INTERVAL_MS);
+  async snooze() {
+    const { durationMs, maxSnoozes } = config.alarm.snooze;
+
+    if (!this.isPlaying) {
+      logger.debug("Alarm not playing, nothing to snooze");
+      return false;
+    }
 
-    logger.debug(`Alarm loop started (interval: ${LOOP_INTERVAL_MS}ms)`);
+    if (maxSnoozes > 0 && this.snoozeCount >= maxSnoozes) {
+      logger.warn(`Snooze limit reached (${maxSnoozes}), alarm keeps ringing`);
+      return false;
+    }
+
+    this.snoozeCount++;
+    await this._silence();
+    this.isSnoozed = true;
+
+    this.snoozeTimer = setTimeout(() => {
+      this.snoozeTimer = null;
+      this.isSnoozed = false;
+      logger.warn("⏰ Snooze over and not acknowledged - re-arming alarm");
+      this._begin();
+    }, durationMs);
+
+    logger.info(
+      `😴 Alarm snoozed for ${Math.round(durationMs / 1000)}s ` +
+        `(${this.snoozeCount}/${maxSnoozes || "∞"})`,
+    );
+    return true;
   }
 
   /**
-   * Stop alarm playback
+   * Clear a pending snooze re-arm
    */
-  async stop() {
-    try {
-      if (!this.isPlaying) {
-        logger.debug("Alarm not playing");
-        return;
-      }
+  _clearSnooze() {
+    if (this.snoozeTimer) {
+      clearTimeout(this.snoozeTimer);
+      this.snoozeTimer = null;
+    }
+    this.isSnoozed = false;
+  }
 
-      this.isPlaying = false;
-      this.isCurrentlyPlaying = false; // Reset playback state
+  /**
+   * Stop playback, timers and restore volume
+   */
+  async _silence() {
+    this.isPlaying = false;
 
-      // Clear loop interval first
-      if (this.loopInterval) {
-        clearInterval(this.loopInterval);
-        this.loopInterval = null;
+    for (const timer of ["restartTimer", "autoStopTimer", "escalationTimer"]) {
+      if (this[timer]) {
+        clearTimeout(this[timer]);
+        this[timer] = null;
       }
+    }
+    if (this.rampInterval) {
+      clearInterval(this.rampInterval);
+      this.rampInterval = null;
+    }
 
-      // Aggressively kill all PowerShell processes (force immediate stop)
-      spawn("taskkill", ["/F", "/IM", "powershell.exe"], {
-        stdio: "ignore",
-        windowsHide: true,
-      });
-
-      // Kill audio process
-      if (this.audioProcess) {
-        try {
-          process.kill(-this.audioProcess.pid); // Kill process group
-        } catch (error) {
-          // Process may already be dead
-        }
-        this.audioProcess = null;
+    for (const [audioProcess, backend] of this.audioProcesses) {
+      try {
+        backend.stop(audioProcess);
+      } catch (error) {
+        // Process may already be dead
+        logger.debug(`Audio player stop error: ${error.message}`);
       }
-
-      // Kill all wmplayer instances (PowerShell audio fallback)
-      spawn("taskkill", ["/F", "/IM", "wmplayer.exe"], {
-        stdio: "ignore",
-        windowsHide: true,
-      });
-
-      logger.info("🛑 Alarm stopped");
-    } catch (error) {
-      logger.error(`Alarm stop error: ${error.message}`);
     }
+    this.audioProcesses.clear();
+
+    await volumeControl.restore();
+    this.currentVolume = null;
   }
 
   /**
@@ -239,8 +444,14 @@ class AlarmSystem {
   getStatus() {
     return {
       isPlaying: this.isPlaying,
-      soundFile: this.soundFilePath,
-      loopEnabled: config.alarm.loop,
+      isSnoozed: this.isSnoozed,
+      snoozeCount: this.snoozeCount,
+      activePlayers: this.audioProcesses.size,
+      currentVolume: this.currentVolume,
+      soundFile: this.currentSoundFile,
+      soundProfile: this.activeProfile ? this.activeProfile.name : null,
+      player: this.backend ? this.backend.name : null,
+      loopEnabled: this.activeProfile?.loop ?? config.alarm.loop,
     };
   }
 
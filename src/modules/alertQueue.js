@@ -0,0 +1,111 @@
+/**
+ * Alert Queue Module
+ * Records every keyword trigger so nothing is lost while the alarm is active
+ * Pending alerts are summarized when the alarm stops and acknowledged one by one
+ */
+
+import { logger } from "../utils/logger.js";
+
+// Constants
+const MAX_PENDING_ALERTS = 200; // Oldest alerts are dropped beyond this
+const SUMMARY_TEXT_LENGTH = 60;
+
+class AlertQueue {
+  constructor() {
+    this.pending = [];
+    this.nextId = 1;
+  }
+
+  /**
+   * Record a trigger
+   * @param {Object} messageData - Detection data from the watcher
+   * @returns {Object} Stored alert
+   */
+  add(messageData) {
+    const alert = {
+      id: this.nextId++,
+      ...messageData,
+      receivedAt: new Date().toISOString(),
+    };
+
+    this.pending.push(alert);
+    if (this.pending.length > MAX_PENDING_ALERTS) {
+      const dropped = this.pending.shift();
+      logger.warn(`Alert queue full, dropped alert #${dropped.id}`);
+    }
+
+    return alert;
+  }
+
+  /**
+   * Number of unacknowledged alerts
+   */
+  size() {
+    return this.pending.length;
+  }
+
+  /**
+   * Copy of pending alerts, oldest first
+   */
+  list() {
+    return [...this.pending];
+  }
+
+  /**
+   * Acknowledge one alert (oldest first when no id is given)
+   * @param {number} id - Alert id
+   * @returns {Object|null} Acknowledged alert or null if none matched
+   */
+  acknowledge(id = null) {
+    const index =
+      id === null ? 0 : this.pending.findIndex((alert) => alert.id === id);
+    if (index < 0 || index >= this.pending.length) return null;
+
+    const [alert] = this.pending.splice(index, 1);
+    logger.info(`✔️ Acknowledged alert #${alert.id} (${this.size()} left)`);
+    return alert;
+  }
+
+  /**
+   * Acknowledge every pending alert
+   * @returns {number} Number of alerts acknowledged
+   */
+  acknowledgeAll() {
+    const count = this.pending.length;
+    this.pending = [];
+    if (count > 0) {
+      logger.info(`✔️ Acknowledged all ${count} alert(s)`);
+    }
+    return count;
+  }
+
+  /**
+   * One-line description of an alert
+   */
+  describe(alert) {
+    const chat = alert.chatName || "Unknown";
+    const sender =
+      alert.sender && alert.sender !== chat ? ` / ${alert.sender}` : "";
+    const text = (alert.text || "").substring(0, SUMMARY_TEXT_LENGTH);
+    const late = alert.late ? " (late)" : "";
+    return `#${alert.id}${late} [${chat}${sender}] "${alert.keyword}": ${text}`;
+  }
+
+  /**
+   * Log a summary of pending alerts
+   */
+  logSummary() {
+    if (this.pending.length === 0) {
+      logger.info("No pending alerts");
+      return;
+    }
+
+    logger.info(`📋 ${this.pending.length} pending alert(s):`);
+    for (const alert of this.pending) {
+      logger.info(`  ${this.describe(alert)}`);
+    }
+  }
+}
+
+export const alertQueue = new AlertQueue();
+export default alertQueue;
@@ -0,0 +1,178 @@
+/**
+ * Announcer Module
+ * Reads the triggering keyword, chat and message aloud (text-to-speech)
+ * Windows: SAPI through PowerShell, Linux: espeak-ng / espeak
+ */
+
+import { spawn } from "child_process";
+import { config } from "../config.js";
+import { logger } from "../utils/logger.js";
+import { isCommandAvailable } from "../utils/audioPlayer.js";
+import {
+  executePowerShellWithTimeout,
+  escapePowerShellString,
+} from "../utils/powershellHelper.js";
+
+// Constants
+const ARABIC_LETTER_PATTERN = /[\u0600-\u06FF]/;
+const ESPEAK_COMMANDS = ["espeak-ng", "espeak"];
+const ESPEAK_BASE_WORDS_PER_MINUTE = 175;
+
+class Announcer {
+  constructor() {
+    this.engine = undefined; // Detected lazily
+    this.isSpeaking = false;
+  }
+
+  /**
+   * Detect speech engine for this platform
+   */
+  _detectEngine() {
+    if (this.engine !== undefined) return this.engine;
+
+    if (process.platform === "win32") {
+      this.engine = "sapi";
+    } else {
+      this.engine = ESPEAK_COMMANDS.find(isCommandAvailable) || null;
+    }
+
+    logger.debug(`Speech engine: ${this.engine || "none"}`);
+    return this.engine;
+  }
+
+  /**
+   * Pick announcement language ('ar' or 'en')
+   */
+  _detectLanguage(text) {
+    const { language } = config.announcement;
+    if (language === "ar" || language === "en") return language;
+    return ARABIC_LETTER_PATTERN.test(text) ? "ar" : "en";
+  }
+
+  /**
+   * Build announcement text from the template for a language
+   */
+  _buildText(messageData, language) {
+    const { keyword, chatName, text } = messageData;
+    const template = config.announcement.templates[language];
+    const excerpt = (text || "").substring(
+      0,
+      config.announcement.maxTextLength,
+    );
+
+    // Replacer functions: "$&" and friends in a message stay literal
+    return template
+      .replace("{keyword}", () => keyword || "")
+      .replace("{chat}", () => chatName || "")
+      .replace("{text}", () => excerpt);
+  }
+
+  /**
+   * Announce a detection
+   * Resolves once speech has finished (or failed); never throws
+   * @param {Object} messageData - Detection data ({ keyword, chatName, text })
+   * @returns {Promise<boolean>} True if the announcement was spoken
+   */
+  async announce(messageData) {
+    if (!config.announcement.enabled) return false;
+
+    if (this.isSpeaking) {
+      logger.debug("Announcement already in progress, skipping");
+      return false;
+    }
+
+    const engine = this._detectEngine();
+    if (!engine) {
+      logger.warn("Text-to-speech unavailable (install espeak-ng or espeak)");
+      return false;
+    }
+
+    const language = this._detectLanguage(
+      `${messageData.keyword} ${messageData.text}`,
+    );
+    const speech = this._buildText(messageData, language);
+
+    this.isSpeaking = true;
+    try {
+      logger.info(`🗣️ Announcing (${language})...`);
+      const spoken =
+        engine === "sapi"
+          ? await this._speakWithSapi(speech, language)
+          : await this._speakWithEspeak(engine, speech, language);
+
+      if (!spoken) {
+        logger.warn("Announcement failed");
+      }
+      return spoken;
+    } catch (error) {
+      logger.warn(`Announcement error: ${error.message}`);
+      return false;
+    } finally {
+      this.isSpeaking = false;
+    }
+  }
+
+  /**
+   * Speak using Windows SAPI (System.Speech)
+   * Prefers a configured voice, then any installed voice for the language
+   */
+  _speakWithSapi(speech, language) {
+    const voice = escapePowerShellString(
+      config.announcement.voices.windows[language] || "",
+    );
+    const script = [
+      "Add-Type -AssemblyName System.Speech",
+      "$synth = New-Object System.Speech.Synthesis.SpeechSynthesizer",
+      "$voices = $synth.GetInstalledVoices() | ForEach-Object { $_.VoiceInfo }",
+      `$voice = $voices | Where-Object { $_.Name -eq '${voice}' } | Select-Object -First 1`,
+      `if (-not $voice) { $voice = $voices | Where-Object { $_.Culture.TwoLetterISOLanguageName -eq '${language}' } | Select-Object -First 1 }`,
+      "if ($voice) { $synth.SelectVoice($voice.Name) }",
+      `$synth.Rate = ${Number(config.announcement.rate) || 0}`,
+      "$synth.Volume = 100",
+      `$synth.Speak('${escapePowerShellString(speech)}')`,
+    ].join("; ");
+
+    return executePowerShellWithTimeout(script, config.announcement.timeoutMs);
+  }
+
+  /**
+   * Speak using espeak-ng / espeak
+   */
+  _speakWithEspeak(command, speech, language) {
+    const voice = config.announcement.voices.espeak[language] || language;
+    // SAPI-style rate (-10..10) mapped to words per minute
+    const wordsPerMinute = Math.round(
+      ESPEAK_BASE_WORDS_PER_MINUTE * (1 + (config.announcement.rate || 0) / 10),
+    );
+
+    return new Promise((resolve) => {
+      // Text goes through stdin so messages starting with "-" are not options
+      const speechProcess = spawn(
+        command,
+        ["-v", voice, "-s", String(wordsPerMinute), "--stdin"],
+        { stdio: ["pipe", "ignore", "ignore"] },
+      );
+      speechProcess.stdin.on("error", () => {});
+      speechProcess.stdin.end(speech);
+
+      const timeoutHandle = setTimeout(() => {
+        speechProcess.kill();
+        resolve(false);
+      }, config.announcement.timeoutMs);
+
+      speechProcess.on("exit", (code) => {
+        clearTimeout(timeoutHandle);
+        resolve(code === 0);
+      });
+
+      speechProcess.on("error", (error) => {
+        clearTimeout(timeoutHandle);
+        logger.debug(`${command} error: ${error.message}`);
+        resolve(false);
+      });
+    });
+  }
+}
+
+export const announcer = new Announcer();
+export default announcer;
@@ -1,14 +1,33 @@
 /**
  * Browser Module
  * Manages Puppeteer session, persistent login, and browser lifecycle
+ * Emits "crashed" (reason) when the browser or page dies unexpectedly
  */
 
+import { EventEmitter } from "events";
 import puppeteer from "puppeteer";
 import path from "path";
 import { fileURLToPath } from "url";
 import { config } from "../config.js";
 import { logger } from "../utils/logger.js";
-import { LOGIN_SELECTORS } from "../utils/whatsappSelectors.js";
+import {
+  LOGIN_SELECTORS,
+  CHAT_LIST_SELECTORS,
+  CONVERSATION_PANE_SELECTORS,
+  QR_CODE_SELECTORS,
+  QR_DATA_SELECTORS,
+  QR_RELOAD_SELECTORS,
+  LOGGED_OUT_TEXTS,
+  PHONE_OFFLINE_SELECTORS,
+  PHONE_OFFLINE_TEXTS,
+  USE_HERE_TEXTS,
+  USE_HERE_BUTTON_TEXTS,
+} from "../utils/whatsappSelectors.js";
+import {
+  renderTerminalQr,
+  saveQrImage,
+  removeQrImage,
+} from "../utils/qrRenderer.js";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const projectRoot = path.join(__dirname, "../..");
@@ -16,11 +35,14 @@ const projectRoot = path.join(__dirname, "../..");
 // Constants
 const UI_STABILIZATION_DELAY_MS = 3000;
 
-class BrowserManager {
+class BrowserManager extends EventEmitter {
   constructor() {
+    super();
     this.browser = null;
     this.page = null;
     this.userDataDir = path.join(projectRoot, config.browser.userDataDir);
+    this.isClosing = false; // Intentional close, not a crash
+    this.lastLogin = null; // Result of the last waitForLogin
   }
 
   /**
@@ -94,16 +116,24 @@ class BrowserManager {
    * Setup page and browser event listeners
    */
   _setupPageEventListeners(page) {
+    const browser = this.browser;
+
     page.on("close", () => {
+      if (this.isClosing || this.page !== page) return;
       logger.warn("Page closed unexpectedly");
+      this.emit("crashed", "page closed");
     });
 
+    // Puppeteer emits "error" when the page crashes
     page.on("error", (error) => {
       logger.error(`Page error: ${error.message}`);
+      if (this.page === page) this.emit("crashed", "page crashed");
     });
 
-    this.browser.on("disconnected", () => {
+    browser.on("disconnected", () => {
+      if (this.isClosing || this.browser !== browser) return;
       logger.error("Browser disconnected! Attempting reconnection...");
+      this.emit("crashed", "browser disconnected");
     });
   }
 
@@ -130,39 +160,156 @@ class BrowserManager {
 
   /**
    * Wait for user to scan QR code and login
-   * Listens for navigation to main chat list
+   * The QR code is printed in the terminal and saved as a PNG, and shown
+   * again whenever WhatsApp rotates it, so no visible window is needed
+   * @returns {Promise<Object>} { status, loggedIn, qrCodesShown, elapsedMs, error? }
+   *   status: 'already-logged-in', 'logged-in', 'timeout' or 'error'
    */
   async waitForLogin() {
+    const settings = config.browser.qrLogin;
+    const startedAt = Date.now();
+    let qrCodesShown = 0;
+    let lastQrData = null;
+
+    const finish = (status, extra = {}) => {
+      this.lastLogin = {
+        status,
+        loggedIn: status === "logged-in" || status === "already-logged-in",
+        qrCodesShown,
+        elapsedMs: Date.now() - startedAt,
+        ...extra,
+      };
+      return this.lastLogin;
+    };
+
     try {
       const page = await this.getPage();
 
       // First check if already logged in
-      const alreadyLoggedIn = await this._checkLoginState(page);
-
-      if (alreadyLoggedIn) {
+      if (await this._checkLoginState(page)) {
         logger.info("✅ Already logged in to WhatsApp!");
-        return true;
+        return finish("already-logged-in");
       }
 
       logger.info("Waiting for WhatsApp login (scan QR code)...");
 
-      // Wait for main chat list to appear (indicates successful login)
-      await this._waitForLoginSelectors(page);
+      while (Date.now() - startedAt < settings.timeoutMs) {
+        if (await this._checkLoginState(page)) {
+          logger.info("✅ WhatsApp login successful!");
+          await this._removeQrImage();
+          return finish("logged-in");
+        }
+
+        const qr = await this._readQrCode(page);
+        if (qr.expired && settings.autoReload) {
+          logger.info("QR code expired, reloading...");
+          await this._clickQrReload(page);
+        } else if (qr.data && qr.data !== lastQrData) {
+          lastQrData = qr.data;
+          qrCodesShown++;
+          await this._showQrCode(qr.data, qrCodesShown);
+        }
+
+        await this._delay(settings.pollIntervalMs);
+      }
 
-      logger.info("✅ WhatsApp login successful!");
-      return true;
+      logger.error(
+        `Login timeout: QR code not scanned within ${settings.timeoutMs}ms`,
+      );
+      await this._removeQrImage();
+      return finish("timeout");
     } catch (error) {
-      if (error.name === "TimeoutError") {
-        logger.error(
-          `Login timeout: QR code not scanned within ${config.browser.timeout}ms`,
+      logger.error(`Login wait error: ${error.message}`);
+      return finish("error", { error: error.message });
+    }
+  }
+
+  /**
+   * Read the current QR payload and whether the code has expired
+   * @returns {Promise<Object>} { data, expired }
+   */
+  async _readQrCode(page) {
+    return await page.evaluate(
+      (dataSelectors, reloadSelectors) => {
+        const find = (selectors) => {
+          for (const selector of selectors) {
+            const element = document.querySelector(selector);
+            if (element) return element;
+          }
+          return null;
+        };
+
+        return {
+          data: find(dataSelectors)?.getAttribute("data-ref") || null,
+          expired: find(reloadSelectors) !== null,
+        };
+      },
+      QR_DATA_SELECTORS,
+      QR_RELOAD_SELECTORS,
+    );
+  }
+
+  /**
+   * Click the "reload QR code" button
+   */
+  async _clickQrReload(page) {
+    await page.evaluate((selectors) => {
+      for (const selector of selectors) {
+        const element = document.querySelector(selector);
+        if (element) {
+          (element.closest("button") || element).click();
+          return;
+        }
+      }
+    }, QR_RELOAD_SELECTORS);
+  }
+
+  /**
+   * Print the QR code and save it as an image
+   * Rendering problems are logged; they must not abort the login wait
+   */
+  async _showQrCode(data, count) {
+    const settings = config.browser.qrLogin;
+    logger.info(
+      count === 1
+        ? "Scan this QR code in WhatsApp → Linked devices → Link a device:"
+        : "QR code refreshed - scan the new one:",
+    );
+
+    try {
+      if (settings.terminal) {
+        console.log(await renderTerminalQr(data));
+      }
+      if (settings.imageFile) {
+        const file = await saveQrImage(
+          data,
+          path.resolve(projectRoot, settings.imageFile),
         );
-      } else {
-        logger.error(`Login wait error: ${error.message}`);
+        logger.info(`QR code saved to ${file}`);
       }
-      throw error;
+    } catch (error) {
+      logger.warn(`Could not render QR code: ${error.message}`);
     }
   }
 
+  /**
+   * Delete the saved QR image once it is no longer valid
+   */
+  async _removeQrImage() {
+    const { imageFile } = config.browser.qrLogin;
+    if (!imageFile) return;
+
+    try {
+      await removeQrImage(path.resolve(projectRoot, imageFile));
+    } catch (error) {
+      logger.debug(`Could not remove QR image: ${error.message}`);
+    }
+  }
+
+  _delay(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+  }
+
   /**
    * Wait for WhatsApp UI to be ready
    */
@@ -218,13 +365,80 @@ class BrowserManager {
   }
 
   /**
-   * Wait for any login selector to appear
+   * Probe the WhatsApp session state
+   * Banner texts are only searched outside the chat list and conversation,
+   * so a message quoting them cannot trip the probe
+   * @returns {Promise<string>} 'ok', 'logged-out', 'phone-offline',
+   *   'conflict' (open in another window) or 'loading'
    */
-  async _waitForLoginSelectors(page) {
-    const promises = LOGIN_SELECTORS.map((selector) =>
-      page.waitForSelector(selector, { timeout: config.browser.timeout }),
+  async probeSession() {
+    const page = await this.getPage();
+    return await page.evaluate(
+      (sels, texts) => {
+        const hasAny = (selectors) =>
+          selectors.some((selector) => !!document.querySelector(selector));
+
+        const skip = sels.skip.join(",");
+        const walker = document.createTreeWalker(
+          document.body,
+          NodeFilter.SHOW_TEXT,
+          {
+            acceptNode: (node) =>
+              node.parentElement?.closest(skip)
+                ? NodeFilter.FILTER_REJECT
+                : NodeFilter.FILTER_ACCEPT,
+          },
+        );
+        let pageText = "";
+        while (walker.nextNode()) {
+          pageText += ` ${walker.currentNode.nodeValue}`;
+        }
+        pageText = pageText.toLowerCase();
+        const hasText = (candidates) =>
+          candidates.some((text) => pageText.includes(text.toLowerCase()));
+
+        if (hasText(texts.useHere)) return "conflict";
+        if (hasAny(sels.qrCode)) return "logged-out";
+        if (!hasAny(sels.login) && hasText(texts.loggedOut)) {
+          return "logged-out";
+        }
+        if (hasAny(sels.phoneOffline) || hasText(texts.phoneOffline)) {
+          return "phone-offline";
+        }
+        return hasAny(sels.login) ? "ok" : "loading";
+      },
+      {
+        skip: [...CHAT_LIST_SELECTORS, ...CONVERSATION_PANE_SELECTORS],
+        login: LOGIN_SELECTORS,
+        qrCode: QR_CODE_SELECTORS,
+        phoneOffline: PHONE_OFFLINE_SELECTORS,
+      },
+      {
+        loggedOut: LOGGED_OUT_TEXTS,
+        phoneOffline: PHONE_OFFLINE_TEXTS,
+        useHere: USE_HERE_TEXTS,
+      },
     );
-    await Promise.race(promises);
+  }
+
+  /**
+   * Click "Use here" to take the session back from another window
+   * @returns {Promise<boolean>} True if the button was found and clicked
+   */
+  async clickUseHere() {
+    const page = await this.getPage();
+    return await page.evaluate((labels) => {
+      const wanted = labels.map((label) => label.toLowerCase());
+      const buttons = document.querySelectorAll('button, div[role="button"]');
+      for (const button of buttons) {
+        const label = button.textContent?.trim().toLowerCase();
+        if (wanted.includes(label)) {
+          button.click();
+          return true;
+        }
+      }
+      return false;
+    }, USE_HERE_BUTTON_TEXTS);
   }
 
   /**
@@ -261,6 +475,7 @@ class BrowserManager {
    * Gracefully close browser
    */
   async close() {
+    this.isClosing = true;
     try {
       if (this.page) {
         await this.page.close();
@@ -275,7 +490,55 @@ class BrowserManager {
       logger.info("Browser closed gracefully");
     } catch (error) {
       logger.error(`Browser close error: ${error.message}`);
+    } finally {
+      this.isClosing = false;
+    }
+  }
+
+  /**
+   * Close a crashed or hung browser, killing its process if needed
+   */
+  async _forceClose() {
+    const browser = this.browser;
+    this.browser = null;
+    this.page = null;
+    if (!browser) return;
+
+    this.isClosing = true;
+    try {
+      await Promise.race([
+        browser.close(),
+        new Promise((_, reject) =>
+          setTimeout(
+            () => reject(new Error("close timed out")),
+            config.resilience.gracefulShutdownTimeoutMs,
+          ),
+        ),
+      ]);
+    } catch (error) {
+      logger.debug(`Browser close failed (${error.message}), killing process`);
+      browser.process()?.kill("SIGKILL");
+    } finally {
+      this.isClosing = false;
+    }
+  }
+
+  /**
+   * Replace a dead browser: launch again with the same profile, wait for
+   * login and the UI, and return the new page
+   */
+  async relaunch() {
+    logger.info("Relaunching browser...");
+    await this._forceClose();
+
+    await this.launch();
+    await this.navigateToWhatsApp();
+    const login = await this.waitForLogin();
+    if (!login.loggedIn) {
+      throw new Error(`WhatsApp login ${login.status}`);
     }
+    await this.waitForUIReady();
+    return this.page;
   }
 
   /**
@@ -285,12 +548,20 @@ class BrowserManager {
     return this.browser !== null && this.page !== null;
   }
 
+  /**
+   * Check that the browser is still connected and the page open
+   */
+  isHealthy() {
+    return this.isActive() && this.browser.connected && !this.page.isClosed();
+  }
+
   /**
    * Get browser info
    */
   getInfo() {
     return {
       isActive: this.isActive(),
+      login: this.lastLogin,
       userDataDir: this.userDataDir,
       whatsappUrl: config.browser.whatsappUrl,
     };
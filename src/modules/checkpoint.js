@@ -0,0 +1,85 @@
+/**
+ * Checkpoint Module
+ * Persists dedupe state (seen message hashes) and the last-processed message
+ * time, so a restart resumes where the previous run stopped
+ */
+
+import fs from "fs/promises";
+import path from "path";
+import { config } from "../config.js";
+import { logger } from "../utils/logger.js";
+
+// Constants
+const SAVE_DEBOUNCE_MS = 2000; // Batch writes while messages stream in
+
+class CheckpointStore {
+  constructor() {
+    this.filePath = path.resolve(config.detection.checkpoint.file);
+    this.saveTimer = null;
+    this.pending = null; // Latest snapshot waiting to be written
+    this.saveChain = Promise.resolve();
+  }
+
+  /**
+   * Read the saved checkpoint
+   * @returns {Promise<Object|null>} { lastProcessedAt, seen: Map<hash, time> } or null
+   */
+  async load() {
+    if (!config.detection.checkpoint.enabled) return null;
+
+    try {
+      const saved = JSON.parse(await fs.readFile(this.filePath, "utf8"));
+      return {
+        lastProcessedAt: Number(saved.lastProcessedAt) || null,
+        seen: new Map(Array.isArray(saved.seen) ? saved.seen : []),
+      };
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        logger.warn(`Could not read checkpoint: ${error.message}`);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Schedule a write of the current state
+   * @param {number|null} lastProcessedAt - Newest processed message time (ms)
+   * @param {Map<string, number>} seen - Message hash → detection time
+   */
+  update(lastProcessedAt, seen) {
+    if (!config.detection.checkpoint.enabled) return;
+
+    this.pending = { lastProcessedAt, seen: [...seen] };
+    if (!this.saveTimer) {
+      this.saveTimer = setTimeout(() => this.save(), SAVE_DEBOUNCE_MS);
+    }
+  }
+
+  /**
+   * Write the pending snapshot now (temp file + rename)
+   */
+  save() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+    if (!this.pending) return this.saveChain;
+
+    const snapshot = this.pending;
+    this.pending = null;
+    this.saveChain = this.saveChain.then(async () => {
+      const tempPath = `${this.filePath}.tmp`;
+      try {
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.writeFile(tempPath, JSON.stringify(snapshot));
+        await fs.rename(tempPath, this.filePath);
+      } catch (error) {
+        logger.error(`Could not save checkpoint: ${error.message}`);
+      }
+    });
+    return this.saveChain;
+  }
+}
+
+export const checkpoint = new CheckpointStore();
+export default checkpoint;
@@ -0,0 +1,280 @@
+/**
+ * Control Server Module
+ * Embedded HTTP API for status and alarm control (phones, scripts)
+ * Every request must carry the access token
+ */
+
+import http from "http";
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { config } from "../config.js";
+import { logger } from "../utils/logger.js";
+import { eventLog } from "./eventLog.js";
+import { settingsStore } from "./settings.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Constants
+const STREAM_KEEPALIVE_MS = 25000; // Comment line keeps proxies from closing streams
+const TOKEN_BYTES = 24;
+const MAX_BODY_BYTES = 64 * 1024;
+const DEFAULT_LOG_LINES = 100;
+const DASHBOARD_FILE = path.join(__dirname, "../dashboard/index.html");
+
+/**
+ * Compare tokens without leaking timing information
+ */
+function tokensMatch(provided, expected) {
+  const providedBuffer = Buffer.from(String(provided || ""));
+  const expectedBuffer = Buffer.from(expected);
+  return (
+    providedBuffer.length === expectedBuffer.length &&
+    crypto.timingSafeEqual(providedBuffer, expectedBuffer)
+  );
+}
+
+class ControlServer {
+  constructor() {
+    this.server = null;
+    this.token = null;
+    this.handlers = null;
+    this.streams = new Set();
+    this.onEvent = (event) => this._broadcast(event);
+  }
+
+  /**
+   * Start listening
+   * @param {Object} handlers - { getStatus, stopAlarm, testAlarm } from the main system
+   * @returns {Promise<boolean>} True if the server is listening
+   */
+  async start(handlers) {
+    const { enabled, host, port } = config.controlApi;
+    if (!enabled || this.server) return false;
+
+    this.handlers = handlers;
+    this.token = config.controlApi.token || this._generateToken();
+    this.server = http.createServer((req, res) =>
+      this._handle(req, res).catch((error) => {
+        logger.error(`Control API request failed: ${error.message}`);
+        if (res.headersSent) {
+          res.end();
+        } else {
+          this._sendJson(res, 500, { error: "Internal error" });
+        }
+      }),
+    );
+
+    try {
+      await new Promise((resolve, reject) => {
+        this.server.once("error", reject);
+        this.server.listen(port, host, resolve);
+      });
+    } catch (error) {
+      logger.error(`Control API failed to start: ${error.message}`);
+      this.server = null;
+      return false;
+    }
+
+    eventLog.on("event", this.onEvent);
+    logger.info(`🌐 Control API listening on http://${host}:${port}`);
+    if (config.controlApi.dashboard) {
+      logger.info(`📊 Dashboard: http://${host}:${port}/?token=<token>`);
+    }
+    return true;
+  }
+
+  /**
+   * Generate a one-off token when none is configured
+   */
+  _generateToken() {
+    const token = crypto.randomBytes(TOKEN_BYTES).toString("hex");
+    logger.info(
+      `Control API token (set controlApi.token to keep it): ${token}`,
+    );
+    return token;
+  }
+
+  /**
+   * Route a request
+   */
+  async _handle(req, res) {
+    let url;
+    try {
+      url = new URL(req.url, "http://localhost");
+    } catch {
+      this._sendJson(res, 400, { error: "Bad request" });
+      return;
+    }
+
+    if (!this._isAuthorized(req, url)) {
+      this._sendJson(res, 401, { error: "Unauthorized" });
+      return;
+    }
+
+    const route = `${req.method} ${url.pathname}`;
+    try {
+      switch (route) {
+        case "GET /":
+          await this._sendDashboard(res);
+          break;
+        case "GET /status":
+          this._sendJson(res, 200, this.handlers.getStatus());
+          break;
+        case "POST /alarm/stop":
+          this._sendJson(res, 200, await this.handlers.stopAlarm("api"));
+          break;
+        case "POST /alarm/test":
+          this._sendJson(res, 200, await this.handlers.testAlarm("api"));
+          break;
+        case "GET /events":
+          this._handleEvents(req, res, url);
+          break;
+        case "GET /logs":
+          this._sendJson(res, 200, {
+            lines: logger.getRecentLines(
+              Number(url.searchParams.get("limit")) || DEFAULT_LOG_LINES,
+            ),
+          });
+          break;
+        case "GET /settings":
+          this._sendJson(res, 200, settingsStore.get());
+          break;
+        case "PUT /settings": {
+          const result = await settingsStore.update(await this._readJson(req));
+          this._sendJson(res, result.error ? 400 : 200, result);
+          break;
+        }
+        default:
+          this._sendJson(res, 404, { error: "Not found" });
+      }
+    } catch (error) {
+      logger.error(`Control API error (${route}): ${error.message}`);
+      this._sendJson(res, 500, { error: error.message });
+    }
+  }
+
+  /**
+   * Check the Bearer token header or ?token= query parameter
+   */
+  _isAuthorized(req, url) {
+    const header = req.headers.authorization || "";
+    const provided = header.startsWith("Bearer ")
+      ? header.slice("Bearer ".length)
+      : url.searchParams.get("token");
+    return tokensMatch(provided, this.token);
+  }
+
+  /**
+   * Serve the dashboard page (it calls the API with the same token)
+   */
+  async _sendDashboard(res) {
+    if (!config.controlApi.dashboard) {
+      this._sendJson(res, 404, { error: "Dashboard disabled" });
+      return;
+    }
+
+    const html = await fs.readFile(DASHBOARD_FILE, "utf8");
+    res.writeHead(200, { "Content-Type": "text/html; charset=utf-8" });
+    res.end(html);
+  }
+
+  /**
+   * Read and parse a JSON request body
+   * @returns {Promise<*>} Parsed body, or null if empty or invalid
+   */
+  async _readJson(req) {
+    let body = "";
+    for await (const chunk of req) {
+      body += chunk;
+      if (body.length > MAX_BODY_BYTES) return null;
+    }
+
+    try {
+      return JSON.parse(body);
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Recent events as JSON, or a live Server-Sent Events stream
+   * Reconnecting streams resume after their Last-Event-ID
+   */
+  _handleEvents(req, res, url) {
+    const sinceId =
+      Number(req.headers["last-event-id"] || url.searchParams.get("since")) ||
+      0;
+    const wantsStream = (req.headers.accept || "").includes(
+      "text/event-stream",
+    );
+
+    if (!wantsStream) {
+      this._sendJson(res, 200, { events: eventLog.list(sinceId) });
+      return;
+    }
+
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+    });
+    for (const event of eventLog.list(sinceId)) {
+      this._writeEvent(res, event);
+    }
+
+    const keepalive = setInterval(
+      () => res.write(": keepalive\n\n"),
+      STREAM_KEEPALIVE_MS,
+    );
+    this.streams.add(res);
+    req.on("close", () => {
+      clearInterval(keepalive);
+      this.streams.delete(res);
+    });
+  }
+
+  /**
+   * Push an event to all open streams
+   */
+  _broadcast(event) {
+    for (const res of this.streams) {
+      this._writeEvent(res, event);
+    }
+  }
+
+  _writeEvent(res, event) {
+    res.write(
+      `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`,
+    );
+  }
+
+  _sendJson(res, statusCode, body) {
+    res.writeHead(statusCode, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(body));
+  }
+
+  /**
+   * Stop the server and close open event streams
+   */
+  async stop() {
+    if (!this.server) return;
+
+    eventLog.off("event", this.onEvent);
+    for (const res of this.streams) {
+      res.end();
+    }
+    this.streams.clear();
+
+    await new Promise((resolve) => {
+      this.server.close(resolve);
+      this.server.closeIdleConnections();
+    });
+    this.server = null;
+    logger.debug("Control API stopped");
+  }
+}
+
+export const controlServer = new ControlServer();
+export default controlServer;
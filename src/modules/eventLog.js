@@ -0,0 +1,71 @@
+/**
+ * Event Log Module
+ * Keeps recent system events (detections, alarm state changes) in memory
+ * and notifies subscribers, e.g. the control API event stream
+ */
+
+import { EventEmitter } from "events";
+import { logger } from "../utils/logger.js";
+
+// Constants
+const MAX_EVENTS = 200;
+
+class EventLog extends EventEmitter {
+  constructor() {
+    super();
+    this.events = [];
+    this.nextId = 1;
+    this.keywordHits = {};
+  }
+
+  /**
+   * Record an event and notify subscribers
+   * @param {string} type - Event type (e.g. 'detection', 'alarm:stop')
+   * @param {Object} data - Event payload
+   * @returns {Object} Stored event
+   */
+  record(type, data = {}) {
+    const event = {
+      id: this.nextId++,
+      type,
+      time: new Date().toISOString(),
+      data,
+    };
+
+    if (type === "detection" && data.keyword) {
+      this.keywordHits[data.keyword] =
+        (this.keywordHits[data.keyword] || 0) + 1;
+    }
+
+    this.events.push(event);
+    if (this.events.length > MAX_EVENTS) {
+      this.events.shift();
+    }
+
+    try {
+      this.emit("event", event);
+    } catch (error) {
+      logger.debug(`Event subscriber error: ${error.message}`);
+    }
+    return event;
+  }
+
+  /**
+   * Detection count per keyword since startup
+   */
+  getKeywordHits() {
+    return { ...this.keywordHits };
+  }
+
+  /**
+   * Recent events, oldest first
+   * @param {number} sinceId - Only return events with a larger id
+   * @returns {Array<Object>} Events
+   */
+  list(sinceId = 0) {
+    return this.events.filter((event) => event.id > sinceId);
+  }
+}
+
+export const eventLog = new EventLog();
+export default eventLog;
@@ -0,0 +1,196 @@
+/**
+ * History Module
+ * Append-only JSONL record of detections, alarms and acknowledgements
+ * Queried by the `history` CLI command for reports
+ */
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { config } from "../config.js";
+import { logger } from "../utils/logger.js";
+
+// Constants
+export const RECORD_TYPES = ["message", "detection", "alarm", "ack"];
+
+class HistoryStore {
+  constructor() {
+    this.filePath = path.resolve(config.history.file);
+    this.writeChain = Promise.resolve(); // Keeps appends in order
+  }
+
+  /**
+   * Append one record (fire and forget; errors are logged)
+   */
+  _append(record) {
+    if (!config.history.enabled) return;
+
+    const line = `${JSON.stringify(record)}\n`;
+    this.writeChain = this.writeChain.then(async () => {
+      try {
+        await fs.promises.mkdir(path.dirname(this.filePath), {
+          recursive: true,
+        });
+        await fs.promises.appendFile(this.filePath, line);
+      } catch (error) {
+        logger.error(`Could not write history: ${error.message}`);
+      }
+    });
+  }
+
+  /**
+   * Record a processed message that matched no rule
+   * Only stored when history.recordAllMessages is enabled
+   */
+  recordMessage({ text, chatName, sender, messageKey, source }) {
+    if (!config.history.recordAllMessages) return;
+
+    this._append({
+      type: "message",
+      at: new Date().toISOString(),
+      chat: chatName || null,
+      sender: sender || null,
+      messageKey: messageKey || null,
+      source: source || null,
+      text,
+    });
+  }
+
+  /**
+   * Record a keyword detection
+   * @param {Object} messageData - Detection data from the watcher
+   * @returns {string} Detection id, referenced by alarm and ack records
+   */
+  recordDetection(messageData) {
+    const id = crypto.randomUUID();
+    this._append({
+      type: "detection",
+      id,
+      at: messageData.timestamp,
+      keyword: messageData.keyword,
+      rule: messageData.rule,
+      action: messageData.action,
+      late: Boolean(messageData.late),
+      chat: messageData.chatName || null,
+      sender: messageData.sender || null,
+      messageKey: messageData.messageKey || null,
+      source: messageData.source || null,
+      text: messageData.text,
+    });
+    return id;
+  }
+
+  /**
+   * Record that a detection started the alarm
+   */
+  recordAlarm(detectionId) {
+    this._append({
+      type: "alarm",
+      detectionId,
+      at: new Date().toISOString(),
+    });
+  }
+
+  /**
+   * Record an acknowledgement
+   * @param {string} detectionId - Acknowledged detection
+   * @param {string} by - Who acknowledged (e.g. 'ESC', 'api', 'keyboard')
+   */
+  recordAck(detectionId, by) {
+    if (!detectionId) return;
+
+    this._append({
+      type: "ack",
+      detectionId,
+      at: new Date().toISOString(),
+      by,
+    });
+  }
+
+  /**
+   * Wait for pending writes
+   */
+  flush() {
+    return this.writeChain;
+  }
+
+  /**
+   * Read all records, skipping damaged lines
+   * @returns {Promise<Array<Object>>} Records in file order
+   */
+  async readAll() {
+    let content;
+    try {
+      content = await fs.promises.readFile(this.filePath, "utf8");
+    } catch (error) {
+      if (error.code === "ENOENT") return [];
+      throw error;
+    }
+
+    const records = [];
+    for (const line of content.split("\n")) {
+      if (!line.trim()) continue;
+      try {
+        records.push(JSON.parse(line));
+      } catch {
+        logger.debug("Skipping damaged history line");
+      }
+    }
+    return records;
+  }
+
+  /**
+   * Detections joined with their alarm and first acknowledgement
+   * @param {Object} filters - { from, to (Date), keyword, chat, includeMessages }
+   * @returns {Promise<Array<Object>>} Flat rows, oldest first
+   */
+  async query(filters = {}) {
+    const records = await this.readAll();
+    const alarms = new Map();
+    const acks = new Map();
+
+    for (const record of records) {
+      if (record.type === "alarm" && !alarms.has(record.detectionId)) {
+        alarms.set(record.detectionId, record);
+      }
+      if (record.type === "ack" && !acks.has(record.detectionId)) {
+        acks.set(record.detectionId, record);
+      }
+    }
+
+    const wantedTypes = filters.includeMessages
+      ? ["detection", "message"]
+      : ["detection"];
+
+    return records
+      .filter((record) => wantedTypes.includes(record.type))
+      .filter((record) => this._matchesFilters(record, filters))
+      .map((record) => ({
+        type: record.type,
+        detectedAt: record.at,
+        keyword: record.keyword || null,
+        rule: record.rule || null,
+        action: record.action || null,
+        late: Boolean(record.late),
+        chat: record.chat,
+        sender: record.sender,
+        messageKey: record.messageKey,
+        text: record.text,
+        alarmAt: alarms.get(record.id)?.at || null,
+        ackAt: acks.get(record.id)?.at || null,
+        ackBy: acks.get(record.id)?.by || null,
+      }));
+  }
+
+  _matchesFilters(record, { from, to, keyword, chat }) {
+    const at = new Date(record.at);
+    if (from && at < from) return false;
+    if (to && at > to) return false;
+    if (keyword && record.keyword !== keyword) return false;
+    if (chat && record.chat !== chat) return false;
+    return true;
+  }
+}
+
+export const history = new HistoryStore();
+export default history;
@@ -0,0 +1,246 @@
+/**
+ * Notifier Module
+ * Sends detections to remote channels when nobody is near the PC
+ * Adapters: Telegram Bot API, ntfy, Gotify, SMTP email, desktop notification
+ */
+
+import { execFile } from "child_process";
+import nodemailer from "nodemailer";
+import { config } from "../config.js";
+import { logger } from "../utils/logger.js";
+import { postJson } from "../utils/httpClient.js";
+import {
+  executePowerShellWithTimeout,
+  escapePowerShellString,
+} from "../utils/powershellHelper.js";
+
+// Constants
+const APP_NAME = "Sa7eny";
+const LATE_PREFIX = "[late] "; // Marks detections found by a catch-up scan
+const DESKTOP_TIMEOUT_MS = 10000;
+// Toasts need a registered AppUserModelID; PowerShell's own is always present
+const POWERSHELL_APP_ID =
+  "{1AC14E77-02E7-4E5D-B744-2EB1AE5198B7}\\WindowsPowerShell\\v1.0\\powershell.exe";
+
+/**
+ * Fill {keyword}, {chat}, {sender}, {rule}, {text} and {time} in a template
+ */
+export function renderTemplate(template, messageData) {
+  const values = {
+    keyword: messageData.keyword,
+    chat: messageData.chatName || "Unknown",
+    sender: messageData.sender || "Unknown",
+    rule: messageData.rule || "",
+    text: messageData.text || "",
+    time: messageData.timestamp || new Date().toISOString(),
+  };
+  return template.replace(/\{(\w+)\}/g, (placeholder, name) =>
+    name in values ? String(values[name]) : placeholder,
+  );
+}
+
+/**
+ * Run a command, resolving true on exit code 0
+ */
+function runCommand(command, args) {
+  return new Promise((resolve) => {
+    execFile(
+      command,
+      args,
+      { timeout: DESKTOP_TIMEOUT_MS, windowsHide: true },
+      (error) => {
+        if (error) logger.debug(`${command} error: ${error.message}`);
+        resolve(!error);
+      },
+    );
+  });
+}
+
+/**
+ * Strip trailing slashes so paths can be appended to a base URL
+ */
+function trimBaseUrl(baseUrl) {
+  return baseUrl.replace(/\/+$/, "");
+}
+
+/**
+ * Adapters: send(text, settings, messageData) → Promise<boolean>
+ * Each reads its own section of config.notifications
+ */
+const NOTIFIER_ADAPTERS = {
+  telegram: {
+    async send(text, settings) {
+      const result = await postJson(
+        `${trimBaseUrl(settings.baseUrl)}/bot${settings.botToken}/sendMessage`,
+        { chat_id: settings.chatId, text },
+        { timeoutMs: config.notifications.timeoutMs },
+      );
+      return result.ok;
+    },
+  },
+
+  ntfy: {
+    // JSON publishing keeps Arabic titles intact (headers are Latin-1 only)
+    async send(text, settings, messageData) {
+      const headers = settings.token
+        ? { Authorization: `Bearer ${settings.token}` }
+        : {};
+      const result = await postJson(
+        trimBaseUrl(settings.baseUrl),
+        {
+          topic: settings.topic,
+          title: `${APP_NAME}: ${messageData.keyword}`,
+          message: text,
+          priority: settings.priority,
+          tags: ["rotating_light"],
+        },
+        { headers, timeoutMs: config.notifications.timeoutMs },
+      );
+      return result.ok;
+    },
+  },
+
+  gotify: {
+    async send(text, settings, messageData) {
+      const result = await postJson(
+        `${trimBaseUrl(settings.baseUrl)}/message`,
+        {
+          title: `${APP_NAME}: ${messageData.keyword}`,
+          message: text,
+          priority: settings.priority,
+        },
+        {
+          headers: { "X-Gotify-Key": settings.appToken },
+          timeoutMs: config.notifications.timeoutMs,
+        },
+      );
+      return result.ok;
+    },
+  },
+
+  email: {
+    async send(text, settings, messageData) {
+      const transport = nodemailer.createTransport({
+        host: settings.host,
+        port: settings.port,
+        secure: settings.secure,
+        auth: settings.username
+          ? { user: settings.username, pass: settings.password }
+          : undefined,
+        connectionTimeout: config.notifications.timeoutMs,
+      });
+
+      try {
+        await transport.sendMail({
+          from: settings.from,
+          to: settings.to,
+          subject: renderTemplate(settings.subject, messageData),
+          text,
+        });
+        return true;
+      } catch (error) {
+        logger.debug(`SMTP error: ${error.message}`);
+        return false;
+      } finally {
+        transport.close();
+      }
+    },
+  },
+
+  desktop: {
+    send(text, settings, messageData) {
+      const title = `${APP_NAME}: ${messageData.keyword}`;
+
+      if (process.platform === "win32") {
+        const script = [
+          "[Windows.UI.Notifications.ToastNotificationManager, Windows.UI.Notifications, ContentType = WindowsRuntime] > $null",
+          "$xml = [Windows.UI.Notifications.ToastNotificationManager]::GetTemplateContent([Windows.UI.Notifications.ToastTemplateType]::ToastText02)",
+          "$lines = $xml.GetElementsByTagName('text')",
+          `$lines.Item(0).AppendChild($xml.CreateTextNode('${escapePowerShellString(title)}')) > $null`,
+          `$lines.Item(1).AppendChild($xml.CreateTextNode('${escapePowerShellString(text)}')) > $null`,
+          "$toast = [Windows.UI.Notifications.ToastNotification]::new($xml)",
+          `[Windows.UI.Notifications.ToastNotificationManager]::CreateToastNotifier('${POWERSHELL_APP_ID}').Show($toast)`,
+        ].join("; ");
+        return executePowerShellWithTimeout(script, DESKTOP_TIMEOUT_MS);
+      }
+
+      if (process.platform === "darwin") {
+        const quote = (value) =>
+          `"${value.replace(/\\/g, "\\\\").replace(/"/g, '\\"')}"`;
+        return runCommand("osascript", [
+          "-e",
+          `display notification ${quote(text)} with title ${quote(title)}`,
+        ]);
+      }
+
+      return runCommand("notify-send", [
+        "--urgency=critical",
+        `--app-name=${APP_NAME}`,
+        title,
+        text,
+      ]);
+    },
+  },
+};
+
+class Notifier {
+  /**
+   * Enabled adapters, in config order
+   */
+  _enabledAdapters() {
+    return Object.keys(NOTIFIER_ADAPTERS).filter(
+      (name) => config.notifications[name]?.enabled,
+    );
+  }
+
+  /**
+   * Send a detection through every enabled adapter
+   * Adapters run in parallel; failures are logged, never thrown
+   * @param {Object} messageData - Detection data from the watcher
+   * @returns {Promise<Object>} Adapter name → delivered (boolean)
+   */
+  async notify(messageData) {
+    const names = this._enabledAdapters();
+    if (names.length === 0) return {};
+
+    const results = await Promise.all(
+      names.map((name) => this._send(name, messageData)),
+    );
+
+    const delivered = Object.fromEntries(
+      names.map((name, index) => [name, results[index]]),
+    );
+    const sent = names.filter((name) => delivered[name]);
+    if (sent.length > 0) {
+      logger.info(`📨 Notified via ${sent.join(", ")}`);
+    }
+    return delivered;
+  }
+
+  /**
+   * Send through one adapter
+   */
+  async _send(name, messageData) {
+    const settings = config.notifications[name];
+    try {
+      const text =
+        (messageData.late ? LATE_PREFIX : "") +
+        renderTemplate(settings.template, messageData);
+      const sent = await NOTIFIER_ADAPTERS[name].send(
+        text,
+        settings,
+        messageData,
+      );
+      if (!sent) {
+        logger.warn(`Notification via ${name} failed`);
+      }
+      return sent;
+    } catch (error) {
+      logger.warn(`Notification via ${name} error: ${error.message}`);
+      return false;
+    }
+  }
+}
+
+export const notifier = new Notifier();
+export default notifier;
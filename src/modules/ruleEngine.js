@@ -0,0 +1,272 @@
+/**
+ * Rule Engine Module
+ * Evaluates detection rules (patterns, match options, scopes, active hours)
+ * against incoming messages and reports which rule fired
+ */
+
+import { config } from "../config.js";
+import { logger } from "../utils/logger.js";
+import {
+  matchKeywords,
+  normalizeArabicText,
+  compileKeywordExpression,
+} from "../utils/textMatcher.js";
+
+// Constants
+const PATTERN_TYPES = ["literal", "word", "regex", "expression"];
+const RULE_ACTIONS = ["alarm", "log", "notify"];
+const DEFAULT_ACTION = "alarm";
+const MATCH_MODES = ["exact", "stem", "fuzzy"];
+const LEGACY_RULE_ID = "keywords";
+
+class RuleEngine {
+  constructor(ruleConfigs = config.detection.rules) {
+    this.rules = this._compileRules(ruleConfigs);
+  }
+
+  /**
+   * Recompile rules after config.detection changed at runtime
+   */
+  reload() {
+    this.rules = this._compileRules(config.detection.rules);
+    logger.info(`Rules reloaded: ${this.describe()}`);
+  }
+
+  /**
+   * Compile rule configs into evaluable rules
+   * Falls back to the flat keyword list when no rules are configured
+   */
+  _compileRules(ruleConfigs) {
+    const sources =
+      Array.isArray(ruleConfigs) && ruleConfigs.length > 0
+        ? ruleConfigs
+        : [this._buildLegacyRule()];
+
+    return sources
+      .map((ruleConfig, index) => this._compileRule(ruleConfig, index))
+      .filter((rule) => rule !== null);
+  }
+
+  /**
+   * Build a single rule from config.detection.keywords and global options
+   */
+  _buildLegacyRule() {
+    return {
+      id: LEGACY_RULE_ID,
+      patterns: config.detection.keywords,
+      match: {
+        caseSensitive: config.detection.caseSensitive,
+        wholeWordMatch: config.detection.wholeWordMatch,
+        mode: config.detection.matchMode,
+        maxEditDistance: config.detection.maxEditDistance,
+      },
+      action: DEFAULT_ACTION,
+    };
+  }
+
+  /**
+   * Compile a single rule config
+   */
+  _compileRule(ruleConfig, index) {
+    const id = ruleConfig.id || `rule-${index + 1}`;
+
+    if (ruleConfig.enabled === false) {
+      logger.debug(`Rule "${id}" disabled, skipping`);
+      return null;
+    }
+
+    const action = ruleConfig.action || DEFAULT_ACTION;
+    if (!RULE_ACTIONS.includes(action)) {
+      logger.warn(`Rule "${id}" has unknown action "${action}", skipping`);
+      return null;
+    }
+
+    const matchOptions = {
+      caseSensitive: ruleConfig.match?.caseSensitive ?? false,
+      wholeWordMatch: ruleConfig.match?.wholeWordMatch ?? false,
+      mode: ruleConfig.match?.mode ?? "exact",
+      maxEditDistance: ruleConfig.match?.maxEditDistance ?? 1,
+    };
+
+    const patterns = (ruleConfig.patterns || [])
+      .map((pattern) => this._compilePattern(id, pattern, matchOptions))
+      .filter((pattern) => pattern !== null);
+
+    if (patterns.length === 0) {
+      logger.warn(`Rule "${id}" has no valid patterns, skipping`);
+      return null;
+    }
+
+    return {
+      id,
+      action,
+      patterns,
+      chats: ruleConfig.chats || [],
+      senders: ruleConfig.senders || [],
+      activeHours: this._compileActiveHours(id, ruleConfig.activeHours),
+    };
+  }
+
+  /**
+   * Compile a pattern (string shorthand or { type, value, mode } object)
+   * A per-pattern mode/maxEditDistance overrides the rule's match options
+   * Regex sources are used as written and tried on the raw and normalized text
+   */
+  _compilePattern(ruleId, pattern, matchOptions) {
+    const {
+      type = "literal",
+      value,
+      mode = matchOptions.mode,
+      maxEditDistance = matchOptions.maxEditDistance,
+    } = typeof pattern === "string" ? { value: pattern } : pattern;
+
+    if (!PATTERN_TYPES.includes(type) || !value) {
+      logger.warn(`Rule "${ruleId}" has invalid pattern, skipping`);
+      return null;
+    }
+
+    if (!MATCH_MODES.includes(mode)) {
+      logger.warn(`Rule "${ruleId}" has unknown match mode "${mode}"`);
+      return null;
+    }
+
+    if (type === "regex") {
+      try {
+        const flags = matchOptions.caseSensitive ? "u" : "iu";
+        const regex = new RegExp(value, flags);
+        return {
+          type,
+          value,
+          test: (text, normalizedText) =>
+            regex.test(text) || regex.test(normalizedText),
+        };
+      } catch (error) {
+        logger.warn(`Rule "${ruleId}" regex error: ${error.message}`);
+        return null;
+      }
+    }
+
+    const options = {
+      ...matchOptions,
+      mode,
+      maxEditDistance,
+      wholeWordMatch: type === "word" || matchOptions.wholeWordMatch,
+    };
+
+    let keyword = value;
+    if (type === "expression") {
+      try {
+        keyword = compileKeywordExpression(value);
+      } catch (error) {
+        logger.warn(`Rule "${ruleId}" expression error: ${error.message}`);
+        return null;
+      }
+    }
+
+    return {
+      type,
+      value,
+      test: (text) => matchKeywords(text, [keyword], options),
+    };
+  }
+
+  /**
+   * Compile active hours ({ start: "HH:MM", end: "HH:MM", days: [0-6] })
+   */
+  _compileActiveHours(ruleId, activeHours) {
+    if (!activeHours) return null;
+
+    const start = this._parseClock(activeHours.start);
+    const end = this._parseClock(activeHours.end);
+    if (start === null || end === null) {
+      logger.warn(`Rule "${ruleId}" has invalid activeHours, ignoring`);
+      return null;
+    }
+
+    return { start, end, days: activeHours.days || null };
+  }
+
+  /**
+   * Parse "HH:MM" into minutes since midnight
+   */
+  _parseClock(value) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(value || "");
+    if (!match) return null;
+
+    const hours = Number(match[1]);
+    const minutes = Number(match[2]);
+    if (hours > 23 || minutes > 59) return null;
+
+    return hours * 60 + minutes;
+  }
+
+  /**
+   * Evaluate a message against all rules
+   * Returns { rule, keyword, action } for the first rule that fires, or null
+   * @param {string} text - Message text
+   * @param {Object} context - { chatName, sender, date }
+   */
+  evaluate(text, context = {}) {
+    if (!text) return null;
+
+    const normalizedText = normalizeArabicText(text);
+
+    for (const rule of this.rules) {
+      if (!this._isInScope(rule, context)) continue;
+      if (!this._isActive(rule, context.date || new Date())) continue;
+
+      const pattern = rule.patterns.find((p) => p.test(text, normalizedText));
+      if (pattern) {
+        return { rule: rule.id, keyword: pattern.value, action: rule.action };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Check chat and sender scopes (empty scope = any)
+   */
+  _isInScope(rule, { chatName, sender }) {
+    if (rule.chats.length > 0 && !rule.chats.includes(chatName)) {
+      return false;
+    }
+    if (rule.senders.length > 0 && !rule.senders.includes(sender)) {
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Check whether the rule is within its active hours
+   */
+  _isActive(rule, date) {
+    const hours = rule.activeHours;
+    if (!hours) return true;
+
+    if (hours.days && !hours.days.includes(date.getDay())) {
+      return false;
+    }
+
+    const minutes = date.getHours() * 60 + date.getMinutes();
+    if (hours.start <= hours.end) {
+      return minutes >= hours.start && minutes < hours.end;
+    }
+
+    // Overnight window (e.g. 22:00 - 06:00)
+    return minutes >= hours.start || minutes < hours.end;
+  }
+
+  /**
+   * Short summary of loaded rules for startup logging
+   */
+  describe() {
+    return this.rules
+      .map((rule) => `${rule.id} (${rule.patterns.length}, ${rule.action})`)
+      .join(", ");
+  }
+}
+
+export const ruleEngine = new RuleEngine();
+export { RuleEngine };
+export default ruleEngine;
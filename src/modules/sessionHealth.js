@@ -0,0 +1,163 @@
+/**
+ * Session Health Module
+ * Heartbeat probe of the WhatsApp session: logged out, phone offline, or
+ * open in another window. Reports "monitoring degraded" when a problem
+ * lasts longer than the grace period, and clicks "Use here" when allowed
+ */
+
+import { config } from "../config.js";
+import { logger } from "../utils/logger.js";
+import { browserManager } from "./browser.js";
+import { eventLog } from "./eventLog.js";
+
+// Constants
+const STATE_DESCRIPTIONS = {
+  ok: "WhatsApp session OK",
+  "logged-out": "WhatsApp Web is logged out (scan the QR code again)",
+  "phone-offline": "Phone not connected to the internet",
+  conflict: "WhatsApp is open in another window",
+  loading: "WhatsApp Web did not finish loading",
+  unreachable: "Page not responding to health probes",
+};
+
+class SessionHealth {
+  constructor() {
+    this.handlers = null;
+    this.state = "ok";
+    this.problemSince = null; // When the current problem started
+    this.isDegraded = false; // Degraded alarm raised for the current problem
+    this.lastCheckAt = null;
+    this.isChecking = false;
+  }
+
+  /**
+   * Register callbacks
+   * @param {Object} handlers - { onDegraded(state, description), onRestored(state) }
+   */
+  start(handlers) {
+    this.handlers = handlers;
+  }
+
+  /**
+   * Run one heartbeat probe
+   * @returns {Promise<string|null>} Session state, or null when skipped
+   */
+  async check() {
+    if (!config.health.enabled || this.isChecking) return null;
+    // A dead browser is the supervisor's job; probing it would only fail
+    if (!browserManager.isHealthy()) return null;
+
+    this.isChecking = true;
+    try {
+      let state = await this._probe();
+
+      if (state === "conflict" && config.health.autoUseHere) {
+        state = await this._takeBackSession();
+      }
+
+      this.lastCheckAt = Date.now();
+      this._update(state);
+      return state;
+    } finally {
+      this.isChecking = false;
+    }
+  }
+
+  /**
+   * Probe with a timeout; a page that does not answer is unreachable
+   */
+  async _probe() {
+    let timer;
+    try {
+      return await Promise.race([
+        browserManager.probeSession(),
+        new Promise((resolve) => {
+          timer = setTimeout(
+            () => resolve("unreachable"),
+            config.health.probeTimeoutMs,
+          );
+        }),
+      ]);
+    } catch (error) {
+      logger.debug(`Session probe error: ${error.message}`);
+      return "unreachable";
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Click "Use here" and report the state afterwards
+   */
+  async _takeBackSession() {
+    try {
+      if (!(await browserManager.clickUseHere())) {
+        logger.warn('WhatsApp is open in another window, "Use here" not found');
+        return "conflict";
+      }
+      logger.warn('WhatsApp was open in another window - clicked "Use here"');
+      eventLog.record("health:use-here", {});
+      return "ok";
+    } catch (error) {
+      logger.warn(`Could not click "Use here": ${error.message}`);
+      return "conflict";
+    }
+  }
+
+  /**
+   * Track state changes and raise/clear the degraded state
+   */
+  _update(state) {
+    const previous = this.state;
+    this.state = state;
+
+    if (state === "ok") {
+      if (previous !== "ok") {
+        logger.info(`✅ ${STATE_DESCRIPTIONS.ok} again (was ${previous})`);
+        eventLog.record("health:ok", { previous });
+      }
+      if (this.isDegraded) {
+        this.handlers?.onRestored(previous);
+      }
+      this.problemSince = null;
+      this.isDegraded = false;
+      return;
+    }
+
+    if (state !== previous) {
+      logger.warn(`⚠️ ${STATE_DESCRIPTIONS[state]}`);
+      eventLog.record("health:problem", { state });
+    }
+    // One problem period, even if its kind changes (offline → logged out)
+    if (previous === "ok") {
+      this.problemSince = Date.now();
+    }
+
+    const lastedMs = Date.now() - this.problemSince;
+    if (!this.isDegraded && lastedMs >= config.health.degradedAfterMs) {
+      this.isDegraded = true;
+      this.handlers?.onDegraded(state, STATE_DESCRIPTIONS[state]);
+    }
+  }
+
+  /**
+   * Session state for the control API
+   */
+  getStatus() {
+    return {
+      enabled: config.health.enabled,
+      state: this.state,
+      description: STATE_DESCRIPTIONS[this.state],
+      degraded: this.isDegraded,
+      problemSince: this.problemSince
+        ? new Date(this.problemSince).toISOString()
+        : null,
+      lastCheckAt: this.lastCheckAt
+        ? new Date(this.lastCheckAt).toISOString()
+        : null,
+    };
+  }
+}
+
+export const sessionHealth = new SessionHealth();
+export default sessionHealth;
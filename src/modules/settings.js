@@ -0,0 +1,164 @@
+/**
+ * Settings Module
+ * Runtime-editable settings (keywords, chat whitelist) from the dashboard
+ * Changes apply immediately and are saved over config.js defaults
+ */
+
+import fs from "fs/promises";
+import path from "path";
+import { config } from "../config.js";
+import { logger } from "../utils/logger.js";
+import { ruleEngine } from "./ruleEngine.js";
+
+class SettingsStore {
+  constructor() {
+    this.filePath = path.resolve(config.controlApi.settingsFile);
+  }
+
+  /**
+   * Apply settings saved by a previous run, if any
+   */
+  async load() {
+    try {
+      const saved = JSON.parse(await fs.readFile(this.filePath, "utf8"));
+      const error = this._validate(saved);
+      if (error) {
+        logger.warn(`Ignoring saved settings (${error})`);
+        return;
+      }
+
+      this._apply(saved);
+      logger.info(`Loaded saved settings from ${this.filePath}`);
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        logger.warn(`Could not load saved settings: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Current editable settings
+   */
+  get() {
+    const { keywords, chatFilter, rules } = config.detection;
+    return {
+      keywords,
+      chatFilter: {
+        enabled: chatFilter.enabled,
+        mode: chatFilter.mode,
+        whitelistedChats: chatFilter.whitelistedChats,
+      },
+      // Keywords only apply when no detection rules are configured
+      rulesConfigured: rules.length > 0,
+      rules: ruleEngine.describe(),
+    };
+  }
+
+  /**
+   * Validate, apply and save a settings change
+   * @param {Object} changes - { keywords?, chatFilter?: { enabled?, whitelistedChats? } }
+   * @returns {Promise<Object>} { saved, error?, settings }
+   */
+  async update(changes) {
+    const error = this._validate(changes);
+    if (error) {
+      return { saved: false, error, settings: this.get() };
+    }
+
+    this._apply(changes);
+    const saved = await this._save();
+    return { saved, settings: this.get() };
+  }
+
+  /**
+   * Check a settings object
+   * @returns {string|null} Error message or null if valid
+   */
+  _validate(changes) {
+    if (!changes || typeof changes !== "object") {
+      return "settings must be an object";
+    }
+
+    const { keywords, chatFilter } = changes;
+    if (keywords !== undefined) {
+      const valid =
+        Array.isArray(keywords) &&
+        keywords.every((keyword) => {
+          const value = typeof keyword === "string" ? keyword : keyword?.value;
+          return typeof value === "string" && value.trim().length > 0;
+        });
+      if (!valid) {
+        return "keywords must be a list of non-empty strings or { value } objects";
+      }
+    }
+
+    if (chatFilter !== undefined) {
+      const { enabled, whitelistedChats } = chatFilter || {};
+      if (enabled !== undefined && typeof enabled !== "boolean") {
+        return "chatFilter.enabled must be true or false";
+      }
+      if (
+        whitelistedChats !== undefined &&
+        (!Array.isArray(whitelistedChats) ||
+          !whitelistedChats.every((chat) => typeof chat === "string"))
+      ) {
+        return "chatFilter.whitelistedChats must be a list of chat names";
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Apply settings onto the live config
+   */
+  _apply({ keywords, chatFilter }) {
+    if (keywords) {
+      config.detection.keywords = keywords.map((keyword) =>
+        typeof keyword === "string" ? keyword.trim() : keyword,
+      );
+      ruleEngine.reload();
+    }
+
+    if (chatFilter?.enabled !== undefined) {
+      config.detection.chatFilter.enabled = chatFilter.enabled;
+    }
+    if (chatFilter?.whitelistedChats) {
+      config.detection.chatFilter.whitelistedChats = chatFilter.whitelistedChats
+        .map((chat) => chat.trim())
+        .filter(Boolean);
+    }
+  }
+
+  /**
+   * Write current settings to disk
+   */
+  async _save() {
+    const { keywords, chatFilter } = this.get();
+    try {
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.writeFile(
+        this.filePath,
+        JSON.stringify(
+          {
+            keywords,
+            chatFilter: {
+              enabled: chatFilter.enabled,
+              whitelistedChats: chatFilter.whitelistedChats,
+            },
+          },
+          null,
+          2,
+        ),
+      );
+      logger.info("💾 Settings saved");
+      return true;
+    } catch (error) {
+      logger.error(`Could not save settings: ${error.message}`);
+      return false;
+    }
+  }
+}
+
+export const settingsStore = new SettingsStore();
+export default settingsStore;
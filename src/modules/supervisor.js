@@ -0,0 +1,178 @@
+/**
+ * Supervisor Module
+ * Watches the browser, page and message observer, and recovers when one
+ * of them dies: re-injects the observer or relaunches the browser
+ * Recovery attempts are bounded by config.resilience; after giving up,
+ * the next health check starts another round
+ */
+
+import { config } from "../config.js";
+import { logger } from "../utils/logger.js";
+import { browserManager } from "./browser.js";
+import { eventLog } from "./eventLog.js";
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+class Supervisor {
+  constructor() {
+    this.handlers = null;
+    this.checkTimer = null;
+    this.isRecovering = false;
+    this.recoveries = 0; // Successful recoveries since start
+    this.lastProblem = null;
+    this.lastRecoveryAt = null;
+    this.hasGivenUp = false; // Last recovery round failed, still retrying
+    this.onCrash = (reason) => this.recover(reason, true);
+  }
+
+  /**
+   * Start periodic health checks
+   * @param {Object} handlers - { getWatcher, restart(relaunch), onGiveUp(reason),
+   *   onRecovered() }
+   */
+  start(handlers) {
+    if (!config.supervisor.enabled) return;
+
+    this.handlers = handlers;
+    browserManager.on("crashed", this.onCrash);
+    this.checkTimer = setInterval(
+      () => this.check(),
+      config.supervisor.checkIntervalMs,
+    );
+    logger.info("🩺 Supervisor watching browser and observer");
+  }
+
+  /**
+   * Run one health check and recover if something is wrong
+   */
+  async check() {
+    if (this.isRecovering) return;
+
+    const problem = await this._findProblem();
+    if (problem) {
+      await this.recover(problem.reason, problem.relaunch);
+    }
+  }
+
+  /**
+   * Describe what is broken, or null when healthy
+   * @returns {Promise<Object|null>} { reason, relaunch }
+   */
+  async _findProblem() {
+    if (!browserManager.isHealthy()) {
+      return { reason: "browser or page is gone", relaunch: true };
+    }
+
+    const watcher = this.handlers.getWatcher();
+    if (!watcher) return null;
+
+    const lastPollAt = watcher.lastPollAt || watcher.startupTime;
+    const stalledMs = Date.now() - lastPollAt;
+    if (stalledMs > config.supervisor.stallTimeoutMs) {
+      return {
+        reason: `observer stalled (no poll for ${Math.round(stalledMs / 1000)}s)`,
+        relaunch: true,
+      };
+    }
+
+    const injected = await watcher.isObserverInjected(
+      config.supervisor.probeTimeoutMs,
+    );
+    if (!injected) {
+      // The page answers but was reloaded: injecting again is enough
+      return { reason: "observer missing from page", relaunch: false };
+    }
+
+    return null;
+  }
+
+  /**
+   * Recover with exponential backoff (retryDelayMs, 2x, 4x, ...)
+   * A failed re-inject escalates to a browser relaunch
+   * @param {string} reason - What went wrong, for the log
+   * @param {boolean} relaunch - Relaunch the browser instead of re-injecting
+   * @returns {Promise<boolean>} True if recovered
+   */
+  async recover(reason, relaunch) {
+    if (this.isRecovering || !this.handlers) return false;
+
+    this.isRecovering = true;
+    this.lastProblem = reason;
+    logger.warn(`⚠️ Monitoring interrupted: ${reason}`);
+    eventLog.record("recovery:start", { reason });
+
+    const { maxRetries, retryDelayMs } = config.resilience;
+    let shouldRelaunch = relaunch;
+    try {
+      for (let retry = 0; retry <= maxRetries; retry++) {
+        if (retry > 0) {
+          await sleep(retryDelayMs * 2 ** (retry - 1));
+        }
+
+        try {
+          await this.handlers.restart(shouldRelaunch);
+          this.recoveries++;
+          this.lastRecoveryAt = Date.now();
+          logger.info(`✅ Monitoring recovered (attempt ${retry + 1})`);
+          eventLog.record("recovery:done", { reason, attempts: retry + 1 });
+          if (this.hasGivenUp) {
+            this.hasGivenUp = false;
+            this.handlers.onRecovered();
+          }
+          return true;
+        } catch (error) {
+          logger.warn(
+            `Recovery attempt ${retry + 1}/${maxRetries + 1} failed: ${error.message}`,
+          );
+          shouldRelaunch = true;
+        }
+      }
+
+      logger.error(
+        `❌ Could not recover monitoring: ${reason} ` +
+          `(next attempt in ${Math.round(config.supervisor.checkIntervalMs / 1000)}s)`,
+      );
+      eventLog.record("recovery:failed", { reason });
+      // Raise the alarm once per outage, not after every failed round
+      if (!this.hasGivenUp) {
+        this.hasGivenUp = true;
+        await this.handlers.onGiveUp(reason);
+      }
+      return false;
+    } finally {
+      this.isRecovering = false;
+    }
+  }
+
+  /**
+   * Supervisor state for the control API
+   */
+  getStatus() {
+    return {
+      enabled: config.supervisor.enabled,
+      recovering: this.isRecovering,
+      recoveries: this.recoveries,
+      failing: this.hasGivenUp,
+      lastProblem: this.lastProblem,
+      lastRecoveryAt: this.lastRecoveryAt
+        ? new Date(this.lastRecoveryAt).toISOString()
+        : null,
+    };
+  }
+
+  /**
+   * Stop health checks
+   */
+  stop() {
+    if (this.checkTimer) {
+      clearInterval(this.checkTimer);
+      this.checkTimer = null;
+    }
+    browserManager.off("crashed", this.onCrash);
+  }
+}
+
+export const supervisor = new Supervisor();
+export default supervisor;
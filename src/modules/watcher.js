@@ -6,16 +6,57 @@
 
 import { config } from "../config.js";
 import { logger } from "../utils/logger.js";
-import { matchKeywords, hashText } from "../utils/textMatcher.js";
+import { hashText, normalizeArabicText } from "../utils/textMatcher.js";
+import { ruleEngine } from "./ruleEngine.js";
+import { history } from "./history.js";
+import { checkpoint } from "./checkpoint.js";
 import {
   CHAT_HEADER_SELECTORS,
   MESSAGE_META_SELECTORS,
   MESSAGE_CONTAINER_SELECTORS,
+  CHAT_LIST_SELECTORS,
+  CHAT_ROW_SELECTORS,
+  CHAT_ROW_TITLE_SELECTORS,
+  CHAT_ROW_PREVIEW_SELECTORS,
+  CHAT_ROW_PREVIEW_LINE_SELECTORS,
+  CHAT_ROW_SENDER_SELECTORS,
+  CHAT_ROW_GROUP_SELECTORS,
+  CHAT_ROW_TIME_SELECTORS,
+  UNREAD_BADGE_SELECTORS,
+  COMPOSER_SELECTORS,
+  MESSAGE_MENU_SELECTORS,
+  REPLY_MENU_ITEM_SELECTORS,
+  REACTION_BUTTON_SELECTORS,
 } from "../utils/whatsappSelectors.js";
 
 // Constants
 const MIN_MESSAGE_LENGTH = 2;
 const MAX_HASH_CACHE_SIZE = 1000;
+const UI_ACTION_DELAY_MS = 400; // Let WhatsApp render menus between clicks
+const MESSAGE_ID_PREFIX = "id:";
+const PREVIEW_SENDER_SEPARATOR = ": "; // Group previews read "Sender: text"
+
+/**
+ * Fold text for cross-source comparison (case, spacing, Arabic variants)
+ */
+function normalizeDedupeText(text) {
+  return normalizeArabicText(text).toLowerCase().replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Pane text carries the sender name and time label around the body, and
+ * group previews prefix the sender, so compare by containment
+ */
+function textsOverlap(a, b) {
+  const [shorter, longer] = a.length <= b.length ? [a, b] : [b, a];
+  if (shorter.length <= MIN_MESSAGE_LENGTH) return false;
+  if (longer.includes(shorter)) return true;
+
+  const separator = shorter.indexOf(PREVIEW_SENDER_SEPARATOR);
+  if (separator < 0) return false;
+  const body = shorter.slice(separator + PREVIEW_SENDER_SEPARATOR.length);
+  return body.length > MIN_MESSAGE_LENGTH && longer.includes(body);
+}
 
 class MessageWatcher {
   constructor(page, onMessageDetected) {
@@ -25,7 +66,13 @@ class MessageWatcher {
     this.onMessageDetected = onMessageDetected;
     this.observerActive = false;
     this.detectedHashes = new Map();
+    this.handledHashes = new Map(); // From the checkpoint, kept for the backlog window
+    this.recentTexts = []; // { chatName, text, source, seenAt } for cross-source dedupe
     this.startupTime = Date.now();
+    this.lastPollAt = null;
+    this.pollFailing = false; // Set by polling errors, cleared on recovery
+    this.lastProcessedAt = null; // Newest processed message time (checkpointed)
+    this.backlogFloor = null; // Accept messages since the last checkpoint
 
     logger.info(
       `Watcher initialized at: ${new Date(this.startupTime).toISOString()}`,
@@ -52,6 +99,8 @@ class MessageWatcher {
       this.observerActive = true;
       logger.info("Message watcher ready - monitoring for NEW messages only");
 
+      await this.catchUp("startup");
+
       return true;
     } catch (error) {
       logger.error(`Watcher initialization failed: ${error.message}`);
@@ -64,14 +113,96 @@ class MessageWatcher {
    * Prepare for monitoring
    */
   async _prepareForMonitoring() {
+    await this._restoreCheckpoint();
     logger.info("Monitoring for new messages");
   }
 
+  /**
+   * Restore dedupe state and the backlog floor from the last run
+   */
+  async _restoreCheckpoint() {
+    const saved = await checkpoint.load();
+    if (!saved) return;
+
+    // Backlog messages can be up to maxBacklogMs old, so remember handled
+    // ones that long (the duplicate TTL alone would let them alarm again)
+    const now = Date.now();
+    const retentionMs = Math.max(
+      config.detection.duplicateCacheTTL,
+      config.detection.checkpoint.maxBacklogMs,
+    );
+    for (const [hash, detectedAt] of saved.seen) {
+      if (now - detectedAt < retentionMs) {
+        this.handledHashes.set(hash, detectedAt);
+      }
+    }
+    this.lastProcessedAt = saved.lastProcessedAt;
+
+    if (!this.lastProcessedAt) return;
+
+    const age = now - this.lastProcessedAt;
+    if (age > config.detection.checkpoint.maxBacklogMs) {
+      logger.info("Checkpoint too old, backlog skipped");
+      return;
+    }
+
+    // Same minute floor as startup: WhatsApp times have minute precision
+    const floor = new Date(this.lastProcessedAt);
+    floor.setSeconds(0, 0);
+    this.backlogFloor = floor.getTime();
+    logger.info(
+      `Resuming from checkpoint: processing messages since ${floor.toISOString()} ` +
+        `(${this.handledHashes.size} already handled)`,
+    );
+  }
+
+  /**
+   * Move to a new page after the browser was relaunched
+   * Dedupe state is kept, so catch-up cannot re-trigger handled messages
+   * @param {Object} page - New Puppeteer page
+   */
+  async attach(page) {
+    this.page = page;
+    this.pollFailing = false;
+    await this._startObserver();
+    this.observerActive = true;
+    logger.info("Message watcher re-attached to new page");
+
+    await this.catchUp("reconnect");
+  }
+
+  /**
+   * Check that the injected observer still exists in the page
+   * A WhatsApp reload wipes it while polling keeps succeeding
+   * @param {number} timeoutMs - Treat a page that does not answer as dead
+   * @returns {Promise<boolean>} True if the observer queue is present
+   */
+  async isObserverInjected(timeoutMs) {
+    let timer;
+    try {
+      return await Promise.race([
+        this.page.evaluate(() => Array.isArray(window.__messageQueue)),
+        new Promise((resolve) => {
+          timer = setTimeout(() => resolve(false), timeoutMs);
+        }),
+      ]);
+    } catch (error) {
+      logger.debug(`Observer probe error: ${error.message}`);
+      return false;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
   /**
    * Start the MutationObserver
    */
   async _startObserver() {
     await this._injectObserver();
+
+    if (config.detection.chatList.enabled) {
+      await this._injectChatListObserver();
+    }
   }
 
   /**
@@ -82,9 +213,10 @@ class MessageWatcher {
     const minLength = MIN_MESSAGE_LENGTH;
     const messageMetaSelectors = MESSAGE_META_SELECTORS;
     const containerSelectors = MESSAGE_CONTAINER_SELECTORS;
+    const headerSelectors = CHAT_HEADER_SELECTORS;
 
     await this.page.evaluate(
-      (minLength, metaSelectors, containerSels) => {
+      (minLength, metaSelectors, containerSels, headerSels) => {
         window.__messageQueue = [];
         window.__seenMessageKeys = window.__seenMessageKeys || new Set();
         const timeOnlyPattern = /\d{1,2}:\d{2}\s*(?:AM|PM)?/i;
@@ -153,6 +285,7 @@ class MessageWatcher {
 
           return todayWithTime.getTime();
         };
+        window.__parseTimeOnly = parseTimeOnly;
 
         const extractMessageKey = (node, container, timeText, text) => {
           if (container) {
@@ -172,6 +305,67 @@ class MessageWatcher {
           return `text:${text.trim().slice(0, 100)}`;
         };
 
+        // data-id format: <fromMe>_<chatJid>_<msgId>[_<participantJid>]
+        const parseMessageId = (dataId) => {
+          if (!dataId) return null;
+
+          const [fromMe, chatId, id, participant] = dataId.split("_");
+          if (!chatId || !chatId.includes("@")) return null;
+
+          return {
+            fromMe: fromMe === "true",
+            chatId,
+            id: id || null,
+            participant: participant || null,
+            isGroup: chatId.endsWith("@g.us"),
+          };
+        };
+
+        // data-pre-plain-text format: [1:16 PM, 1/30/2026] Sender Name:
+        const parseSender = (timeText) => {
+          if (!timeText) return null;
+          const match = timeText.match(/^\s*\[[^\]]+\]\s*(.+?):\s*$/);
+          return match ? match[1].trim() : null;
+        };
+
+        const readChatHeader = () => {
+          for (const selector of headerSels) {
+            const element = document.querySelector(selector);
+            if (element) {
+              return (
+                element.textContent?.trim() ||
+                element.getAttribute("title") ||
+                null
+              );
+            }
+          }
+          return null;
+        };
+
+        // Resolve chat and sender when the node is rendered, so a later
+        // chat switch cannot mislabel messages still waiting in the queue
+        const extractAttribution = (node, container, timeText) => {
+          const dataId =
+            container?.getAttribute?.("data-id") ||
+            node.closest?.("[data-id]")?.getAttribute("data-id");
+          const idInfo = parseMessageId(dataId);
+          const chatName = readChatHeader();
+          const isGroup = idInfo ? idInfo.isGroup : false;
+
+          let sender = parseSender(timeText);
+          if (!sender && !isGroup) {
+            // One-to-one chats: the other party is the chat itself
+            sender = chatName;
+          }
+
+          return {
+            chatName,
+            chatId: idInfo?.chatId || null,
+            sender: sender || idInfo?.participant || null,
+            isGroup,
+          };
+        };
+
         const extractTimestamp = (nodeOrContainer) => {
           const messageContainer =
             findMessageContainer(nodeOrContainer) || nodeOrContainer;
@@ -236,7 +430,7 @@ class MessageWatcher {
           return null;
         };
 
-        const processNode = (node) => {
+        const processNode = (node, late = false) => {
           if (node.nodeType !== Node.ELEMENT_NODE) {
             return;
           }
@@ -279,10 +473,21 @@ class MessageWatcher {
             return;
           }
           window.__seenMessageKeys.add(dedupeKey);
+
+          const attribution = extractAttribution(
+            node,
+            messageContainer,
+            timeText,
+          );
           window.__messageQueue.push({
             text: text,
             timestamp: timestamp,
             messageKey: messageKey,
+            chatName: attribution.chatName,
+            chatId: attribution.chatId,
+            sender: attribution.sender,
+            isGroup: attribution.isGroup,
+            late: late,
           });
         };
 
@@ -292,7 +497,7 @@ class MessageWatcher {
               mutation.type === "childList" &&
               mutation.addedNodes.length > 0
             ) {
-              mutation.addedNodes.forEach(processNode);
+              mutation.addedNodes.forEach((node) => processNode(node));
             }
           });
         });
@@ -301,15 +506,242 @@ class MessageWatcher {
           childList: true,
           subtree: true,
         });
+
+        // Catch-up: queue messages that were rendered before the observer
+        // saw them; already queued ones are skipped by __seenMessageKeys
+        window.__scanRenderedMessages = () => {
+          const containers = new Set();
+          document
+            .querySelectorAll(["[data-id]", ...containerSels].join(","))
+            .forEach((element) => {
+              const container = findMessageContainer(element);
+              if (container) containers.add(container);
+            });
+          containers.forEach((container) => processNode(container, true));
+        };
       },
       minLength,
       messageMetaSelectors,
       containerSelectors,
+      headerSelectors,
     );
 
     logger.info("Observer injected successfully");
   }
 
+  /**
+   * Inject chat-list observer into browser context
+   * Watches sidebar previews so chats that are not open still reach the queue
+   */
+  async _injectChatListObserver() {
+    const minLength = MIN_MESSAGE_LENGTH;
+    const requireUnread = config.detection.chatList.requireUnread;
+    const selectors = {
+      list: CHAT_LIST_SELECTORS,
+      row: CHAT_ROW_SELECTORS,
+      title: CHAT_ROW_TITLE_SELECTORS,
+      preview: CHAT_ROW_PREVIEW_SELECTORS,
+      previewLine: CHAT_ROW_PREVIEW_LINE_SELECTORS,
+      sender: CHAT_ROW_SENDER_SELECTORS,
+      group: CHAT_ROW_GROUP_SELECTORS,
+      time: CHAT_ROW_TIME_SELECTORS,
+      unread: UNREAD_BADGE_SELECTORS,
+    };
+
+    await this.page.evaluate(
+      (minLength, requireUnread, sels) => {
+        window.__messageQueue = window.__messageQueue || [];
+        window.__seenMessageKeys = window.__seenMessageKeys || new Set();
+        window.__chatPreviewState = new Map();
+        const parseTimeOnly = window.__parseTimeOnly || (() => null);
+
+        const queryFirst = (root, selectors) => {
+          for (const selector of selectors) {
+            const found = root.querySelector(selector);
+            if (found) return found;
+          }
+          return null;
+        };
+
+        const isInChatList = (element) =>
+          sels.list.some((selector) => element.closest(selector));
+
+        const findRow = (node) => {
+          const element =
+            node?.nodeType === Node.ELEMENT_NODE ? node : node?.parentElement;
+          if (!element || !isInChatList(element)) return null;
+
+          for (const selector of sels.row) {
+            const row = element.closest(selector);
+            if (row) return row;
+          }
+          return null;
+        };
+
+        // Badge shows "3" or an aria-label like "3 unread messages"
+        const readUnreadCount = (badge) => {
+          if (!badge) return 0;
+          const label = `${badge.textContent || ""} ${badge.getAttribute("aria-label") || ""}`;
+          const digits = label
+            .replace(/[\u0660-\u0669]/g, (d) => d.charCodeAt(0) - 0x0660)
+            .match(/\d+/);
+          return digits ? Number(digits[0]) : 1;
+        };
+
+        // Group previews read "Sender: text"; split the sender out
+        const readPreview = (row) => {
+          const previewElement = queryFirst(row, sels.preview);
+          const preview =
+            previewElement?.getAttribute("title") ||
+            previewElement?.textContent?.trim() ||
+            "";
+          const line =
+            queryFirst(row, sels.previewLine)?.textContent?.trim() || preview;
+          const senderElement = queryFirst(row, sels.sender);
+          const prefix = line.endsWith(preview)
+            ? line.slice(0, line.length - preview.length)
+            : "";
+
+          const isGroup =
+            senderElement !== null ||
+            queryFirst(row, sels.group) !== null ||
+            /^[^\n:]+:\s*$/.test(prefix);
+          if (!isGroup) {
+            return { text: preview, sender: null, isGroup: false };
+          }
+
+          const match = line.match(/^([^\n:]{1,64}):\s+([\s\S]+)$/);
+          return {
+            text: match ? match[2].trim() : preview,
+            sender:
+              senderElement?.textContent?.replace(/:\s*$/, "").trim() ||
+              match?.[1].trim() ||
+              null,
+            isGroup: true,
+          };
+        };
+
+        const readRow = (row) => {
+          const titleElement = queryFirst(row, sels.title);
+          const timeElement = queryFirst(row, sels.time);
+          const unreadCount = readUnreadCount(queryFirst(row, sels.unread));
+
+          return {
+            chatName:
+              titleElement?.getAttribute("title") ||
+              titleElement?.textContent?.trim() ||
+              null,
+            ...readPreview(row),
+            timeText: timeElement?.textContent?.trim() || "",
+            unreadCount: unreadCount,
+            hasUnread: unreadCount > 0,
+          };
+        };
+
+        // A repeat of the same text leaves the preview unchanged, but the
+        // unread count goes up
+        const isNewMessage = (previous, current) =>
+          current.text !== previous.text ||
+          current.sender !== previous.sender ||
+          current.unreadCount > previous.unreadCount;
+
+        const processRow = (row, isSeeding) => {
+          const current = readRow(row);
+          const { chatName, text, timeText, hasUnread } = current;
+          if (!chatName || text.length <= minLength) return;
+
+          const previous = window.__chatPreviewState.get(chatName);
+          window.__chatPreviewState.set(chatName, current);
+
+          if (isSeeding) return;
+          if (previous && !isNewMessage(previous, current)) return;
+          if (requireUnread && !hasUnread) return;
+          // The badge may update in a later mutation than the preview:
+          // count this message now so that update does not fire again
+          current.unreadCount = Math.max(
+            current.unreadCount,
+            (previous?.unreadCount ?? 0) + 1,
+          );
+
+          // Known row with a new message: it just arrived.
+          // Row scrolled into view: trust its own time label instead.
+          const timestamp = previous ? Date.now() : parseTimeOnly(timeText);
+
+          queuePreview(current, timestamp, false);
+        };
+
+        const queuePreview = (row, timestamp, late) => {
+          const { chatName, text, sender, isGroup } = row;
+          const messageKey = `preview:${chatName}|${sender ?? ""}|${text}`;
+          const dedupeKey = `${messageKey}|${timestamp ?? ""}`;
+          if (window.__seenMessageKeys.has(dedupeKey)) return;
+          window.__seenMessageKeys.add(dedupeKey);
+
+          window.__messageQueue.push({
+            text: text,
+            timestamp: timestamp,
+            messageKey: messageKey,
+            chatName: chatName,
+            chatId: null,
+            sender: sender,
+            isGroup: isGroup,
+            source: "chat-list",
+            late: late,
+          });
+        };
+
+        const forEachRow = (callback) => {
+          for (const listSelector of sels.list) {
+            const list = document.querySelector(listSelector);
+            if (!list) continue;
+            for (const rowSelector of sels.row) {
+              list.querySelectorAll(rowSelector).forEach(callback);
+            }
+          }
+        };
+
+        // Seed current previews so existing rows do not fire on startup
+        forEachRow((row) => processRow(row, true));
+
+        // Catch-up: queue unread previews using their own time labels
+        window.__scanChatList = () => {
+          forEachRow((row) => {
+            const current = readRow(row);
+            const { chatName, text, timeText, hasUnread } = current;
+            if (!chatName || text.length <= minLength || !hasUnread) return;
+            queuePreview(current, parseTimeOnly(timeText), true);
+          });
+        };
+
+        const observer = new MutationObserver((mutations) => {
+          const rows = new Set();
+          mutations.forEach((mutation) => {
+            const row = findRow(mutation.target);
+            if (row) rows.add(row);
+            mutation.addedNodes.forEach((node) => {
+              const addedRow = findRow(node);
+              if (addedRow) rows.add(addedRow);
+            });
+          });
+          rows.forEach((row) => processRow(row, false));
+        });
+
+        observer.observe(document.body, {
+          childList: true,
+          subtree: true,
+          characterData: true,
+          attributes: true,
+          attributeFilter: ["title"],
+        });
+      },
+      minLength,
+      requireUnread,
+      selectors,
+    );
+
+    logger.info("Chat-list observer injected successfully");
+  }
+
   /**
    * Poll for new messages detected by the injected observer
    */
@@ -320,18 +752,57 @@ class MessageWatcher {
         const queueSize = await this.page.evaluate(() => {
           return (window.__messageQueue || []).length;
         });
+        this.lastPollAt = Date.now();
+
+        if (this.pollFailing) {
+          this.pollFailing = false;
+          logger.info("Page responding again");
+          await this.catchUp("reconnect");
+        }
 
         if (queueSize > 0) {
           logger.debug(`Queue has ${queueSize} messages, processing...`);
           await this.processNewMessages();
         }
       } catch (error) {
+        this.pollFailing = true;
         logger.debug(`Polling error: ${error.message}`);
       }
     }, config.detection.observer.debounceMs);
     return pollInterval;
   }
 
+  /**
+   * Catch-up scan: queue messages already on screen (and unread chat-list
+   * previews) and run them through the normal path, labelled late
+   * @param {string} reason - Why the scan runs ('startup', 'reconnect')
+   * @returns {Promise<number>} Messages queued by the scan
+   */
+  async catchUp(reason) {
+    const { enabled, scanChatList } = config.detection.catchUp;
+    // A restored checkpoint needs the startup scan to reach its backlog
+    const hasBacklog = reason === "startup" && this.backlogFloor !== null;
+    if (!enabled && !hasBacklog) return 0;
+
+    try {
+      const queued = await this.page.evaluate((includeChatList) => {
+        const before = (window.__messageQueue || []).length;
+        window.__scanRenderedMessages?.();
+        if (includeChatList) window.__scanChatList?.();
+        return (window.__messageQueue || []).length - before;
+      }, scanChatList);
+
+      logger.info(`Catch-up scan (${reason}): ${queued} message(s) to check`);
+      if (queued > 0) {
+        await this.processNewMessages();
+      }
+      return queued;
+    } catch (error) {
+      logger.warn(`Catch-up scan failed: ${error.message}`);
+      return 0;
+    }
+  }
+
   /**
    * Process newly detected messages from the MutationObserver queue
    * Only processes messages that were actually added to the DOM after monitoring started
@@ -363,39 +834,69 @@ class MessageWatcher {
    */
   async handleMessage(message) {
     try {
-      const { text, timestamp, messageKey } = message;
+      const { text, timestamp, messageKey, sender, isGroup, source, late } =
+        message;
       if (!text) return;
 
       logger.debug(
-        `Processing message: "${text.substring(0, 30)}..." (timestamp: ${timestamp ? new Date(timestamp).toISOString() : "null"})`,
+        `Processing ${source || "pane"} message: "${text.substring(0, 30)}..." (timestamp: ${timestamp ? new Date(timestamp).toISOString() : "null"})`,
       );
 
       // Check if message is old based on timestamp
-      if (!this._isRecentMessage(timestamp)) {
+      if (!this._isRecentMessage(timestamp, late)) {
         logger.debug("Skipped old message");
         return;
       }
 
       if (this._isDuplicate(text, timestamp, messageKey)) return;
+      this._markProcessed(timestamp);
+
+      const chatName = message.chatName || (await this._getCurrentChatName());
+      if (this._isCrossSourceDuplicate(chatName, text, source)) return;
 
-      const matchedKeyword = this._findMatchedKeyword(text);
-      if (!matchedKeyword) {
+      const match = this._findMatchedKeyword(text, { chatName, sender });
+      if (!match) {
         logger.debug(`No keyword match in: "${text.substring(0, 30)}..."`);
+        history.recordMessage({ text, chatName, sender, messageKey, source });
         return;
       }
 
       logger.info(
-        `✅ KEYWORD DETECTED: "${matchedKeyword}" in: "${text.substring(0, 50)}..."`,
+        `✅ KEYWORD DETECTED: "${match.keyword}" (rule: ${match.rule}) in: "${text.substring(0, 50)}..."`,
       );
 
-      if (await this._shouldFilterByChat()) return;
+      if (this._shouldFilterByChat(chatName)) return;
 
-      this._triggerAlarm({
-        keyword: matchedKeyword,
+      const messageData = {
+        keyword: match.keyword,
+        rule: match.rule,
+        action: match.action,
         text: text,
-        chatName: await this._getCurrentChatName(),
+        chatName: chatName,
+        chatId: message.chatId || null,
+        // WhatsApp data-id, used to react/reply to this message later
+        messageId: messageKey?.startsWith(MESSAGE_ID_PREFIX)
+          ? messageKey.slice(MESSAGE_ID_PREFIX.length)
+          : null,
+        sender: sender || null,
+        isGroup: Boolean(isGroup),
+        messageKey: messageKey || null,
+        source: source || "pane",
+        // Found by a catch-up scan rather than as it arrived
+        late: Boolean(late),
+        sentAt: new Date(timestamp).toISOString(),
         timestamp: new Date().toISOString(),
-      });
+      };
+      messageData.detectionId = history.recordDetection(messageData);
+      // Persist now so a crash during the alarm cannot re-trigger it
+      checkpoint.save();
+
+      if (match.action === "log") {
+        logger.info(`Rule "${match.rule}" is log-only, no alarm`);
+        return;
+      }
+
+      this._triggerAlarm(messageData);
     } catch (error) {
       logger.error(`Message handling error: ${error.message}`);
     }
@@ -403,8 +904,9 @@ class MessageWatcher {
 
   /**
    * Check if message was sent after system startup
+   * Catch-up (late) messages may also be up to catchUp.lookbackMs old
    */
-  _isRecentMessage(timestamp) {
+  _isRecentMessage(timestamp, late = false) {
     const now = Date.now();
     const startupTimeISO = new Date(this.startupTime).toISOString();
     const timestampISO = timestamp ? new Date(timestamp).toISOString() : "null";
@@ -442,6 +944,20 @@ class MessageWatcher {
       return true;
     }
 
+    // Accept messages that arrived while the system was down
+    if (this.backlogFloor !== null && timestamp >= this.backlogFloor) {
+      const ageSeconds = Math.floor((now - timestamp) / 1000);
+      logger.debug(`Backlog message (${ageSeconds}s ago) - accepting`);
+      return true;
+    }
+
+    // Catch-up scan: accept messages inside the lookback window
+    if (late && now - timestamp <= config.detection.catchUp.lookbackMs) {
+      const ageSeconds = Math.floor((now - timestamp) / 1000);
+      logger.debug(`Late message (${ageSeconds}s ago) - accepting`);
+      return true;
+    }
+
     const ageSeconds = Math.floor((now - timestamp) / 1000);
     logger.debug(`Old message (${ageSeconds}s ago) - rejecting`);
     return false;
@@ -479,9 +995,63 @@ class MessageWatcher {
   }
 
   /**
-   * Check if hash was recently detected
+   * Check if the other source (pane vs chat-list preview) already reported
+   * this message: same chat and one text contains the other. Keys and
+   * timestamps differ between the sources, so _isDuplicate cannot see it
+   */
+  _isCrossSourceDuplicate(chatName, text, source = "pane") {
+    if (!config.detection.enableDuplicateProtection || !chatName) return false;
+
+    const now = Date.now();
+    const ttl = config.detection.duplicateCacheTTL;
+    this.recentTexts = this.recentTexts.filter(
+      (entry) => now - entry.seenAt < ttl,
+    );
+
+    const entry = {
+      chatName: chatName.trim().toLowerCase(),
+      text: normalizeDedupeText(text),
+      source,
+      seenAt: now,
+    };
+    const index = this.recentTexts.findIndex(
+      (seen) =>
+        seen.source !== entry.source &&
+        seen.chatName === entry.chatName &&
+        textsOverlap(seen.text, entry.text),
+    );
+    if (index >= 0) {
+      // One report per source: a real repeat of the message still alarms
+      this.recentTexts.splice(index, 1);
+      logger.debug("Already seen from another source, skipping");
+      return true;
+    }
+
+    this.recentTexts.push(entry);
+    if (this.recentTexts.length > MAX_HASH_CACHE_SIZE) {
+      this.recentTexts.shift();
+    }
+    return false;
+  }
+
+  /**
+   * Advance the checkpoint after a message passed recency and dedupe checks
+   */
+  _markProcessed(timestamp) {
+    if (timestamp > (this.lastProcessedAt || 0)) {
+      this.lastProcessedAt = timestamp;
+    }
+    checkpoint.update(
+      this.lastProcessedAt,
+      new Map([...this.handledHashes, ...this.detectedHashes]),
+    );
+  }
+
+  /**
+   * Check if hash was recently detected, or handled before a restart
    */
   _isHashRecent(hash, currentTime) {
+    if (this.handledHashes.has(hash)) return true;
     if (!this.detectedHashes.has(hash)) return false;
 
     const lastDetected = this.detectedHashes.get(hash);
@@ -510,7 +1080,6 @@ class MessageWatcher {
   _triggerAlarm(messageData) {
     logger.debug("Triggering alarm callback...");
     if (this.onMessageDetected) {
-      this.startupTime = Date.now();
       this.onMessageDetected(messageData);
       logger.debug("Alarm triggered successfully");
     } else {
@@ -521,12 +1090,11 @@ class MessageWatcher {
   /**
    * Check if message should be filtered by chat
    */
-  async _shouldFilterByChat() {
+  _shouldFilterByChat(chatName) {
     if (!config.detection.chatFilter.enabled) return false;
 
     logger.debug("Chat filtering enabled, checking...");
-    const chatName = await this._getCurrentChatName();
-    logger.debug(`Current chat: "${chatName}"`);
+    logger.debug(`Message chat: "${chatName}"`);
 
     if (!this._isChatAllowed(chatName)) {
       logger.warn(`Chat "${chatName}" not in whitelist, ignoring`);
@@ -539,21 +1107,11 @@ class MessageWatcher {
 
   /**
    * Find matched keyword in text
-   * Returns the first keyword that matches, or null
+   * Delegates to the rule engine; returns { rule, keyword, action } or null
    */
-  _findMatchedKeyword(text) {
+  _findMatchedKeyword(text, context = {}) {
     try {
-      const matchOptions = {
-        caseSensitive: config.detection.caseSensitive,
-        wholeWordMatch: config.detection.wholeWordMatch,
-      };
-
-      for (const keyword of config.detection.keywords) {
-        if (matchKeywords(text, [keyword], matchOptions)) {
-          return keyword;
-        }
-      }
-      return null;
+      return ruleEngine.evaluate(text, context);
     } catch (error) {
       logger.debug(`Keyword matching error: ${error.message}`);
       return null;
@@ -562,6 +1120,7 @@ class MessageWatcher {
 
   /**
    * Get current active chat name
+   * Fallback for queue entries captured without chat attribution
    */
   async _getCurrentChatName() {
     try {
@@ -602,12 +1161,234 @@ class MessageWatcher {
     return true;
   }
 
+  /**
+   * Confirm an acknowledged alert in its chat (reply and/or reaction)
+   * Opens the chat, finds the message by data-id and uses the composer
+   * @param {Object} messageData - Detection data ({ chatName, messageId, text })
+   * @returns {Promise<boolean>} True if every configured action succeeded
+   */
+  async acknowledgeInChat(messageData) {
+    const settings = config.acknowledgement;
+    if (!settings.enabled || !this.page) return false;
+
+    try {
+      if (!(await this._openChat(messageData))) {
+        logger.warn(
+          `Could not open chat "${messageData.chatName}" to acknowledge`,
+        );
+        return false;
+      }
+
+      const message = await this._findMessageElement(messageData);
+      let success = true;
+
+      if (settings.mode === "react" || settings.mode === "both") {
+        const reacted = message && (await this._reactToMessage(message));
+        if (!reacted) logger.warn("Could not react to the message");
+        success = success && Boolean(reacted);
+      }
+
+      if (settings.mode === "reply" || settings.mode === "both") {
+        const replied = await this._replyToMessage(message);
+        if (!replied) logger.warn("Could not send acknowledgement reply");
+        success = success && replied;
+      }
+
+      if (success) {
+        logger.info(`✅ Acknowledged in chat "${messageData.chatName}"`);
+      }
+      return success;
+    } catch (error) {
+      logger.warn(`Chat acknowledgement error: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Make the alert's chat the open conversation
+   * Clicks its row in the chat list unless it is already open
+   */
+  async _openChat({ chatName, messageId }) {
+    const timeout = config.acknowledgement.timeoutMs;
+
+    if (messageId && (await this.page.$(this._messageSelector(messageId)))) {
+      return true;
+    }
+    if (!chatName || chatName === "Unknown") return false;
+    if ((await this._getCurrentChatName()) === chatName) return true;
+
+    const row = await this.page.evaluateHandle(
+      (name, rowSelectors, titleSelectors) => {
+        for (const row of document.querySelectorAll(rowSelectors.join(","))) {
+          for (const selector of titleSelectors) {
+            const title = row.querySelector(selector);
+            if (title && (title.getAttribute("title") || "").trim() === name) {
+              return row;
+            }
+          }
+        }
+        return null;
+      },
+      chatName,
+      CHAT_ROW_SELECTORS,
+      CHAT_ROW_TITLE_SELECTORS,
+    );
+
+    const rowElement = row.asElement();
+    if (!rowElement) return false;
+    await rowElement.click();
+
+    try {
+      await this.page.waitForFunction(
+        (name, selectors) =>
+          selectors.some(
+            (selector) =>
+              document.querySelector(selector)?.textContent?.trim() === name,
+          ),
+        { timeout },
+        chatName,
+        CHAT_HEADER_SELECTORS,
+      );
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * CSS selector for a message by its data-id
+   */
+  _messageSelector(messageId) {
+    return `[data-id=${JSON.stringify(messageId)}]`;
+  }
+
+  /**
+   * Find the alert's message element in the open chat
+   * Falls back to the newest message containing the text (chat-list alerts)
+   */
+  async _findMessageElement({ messageId, text }) {
+    if (messageId) {
+      const byId = await this.page.$(this._messageSelector(messageId));
+      if (byId) return byId;
+    }
+
+    const byText = await this.page.evaluateHandle(
+      (snippet) => {
+        const messages = [...document.querySelectorAll("[data-id]")].reverse();
+        return (
+          messages.find((element) => element.innerText?.includes(snippet)) ||
+          null
+        );
+      },
+      (text || "").substring(0, 40),
+    );
+    return byText.asElement();
+  }
+
+  /**
+   * Click the first visible element matching any selector
+   */
+  async _clickFirstVisible(selectors) {
+    for (const selector of selectors) {
+      for (const element of await this.page.$$(selector)) {
+        if (await element.isVisible()) {
+          await element.click();
+          await this._delay(UI_ACTION_DELAY_MS);
+          return true;
+        }
+      }
+    }
+    return false;
+  }
+
+  _delay(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+  }
+
+  /**
+   * React with the configured emoji from WhatsApp's quick reaction tray
+   */
+  async _reactToMessage(message) {
+    await message.hover();
+    await this._delay(UI_ACTION_DELAY_MS);
+    if (!(await this._clickFirstVisible(REACTION_BUTTON_SELECTORS))) {
+      return false;
+    }
+
+    const emoji = await this.page.evaluateHandle((reaction) => {
+      const candidates = document.querySelectorAll(
+        '[role="button"], button, img[alt]',
+      );
+      for (const candidate of candidates) {
+        const matches =
+          candidate.getAttribute("aria-label") === reaction ||
+          candidate.getAttribute("alt") === reaction ||
+          candidate.textContent?.trim() === reaction;
+        if (matches && candidate.getClientRects().length > 0) {
+          return candidate.closest('[role="button"], button') || candidate;
+        }
+      }
+      return null;
+    }, config.acknowledgement.reaction);
+
+    const emojiElement = emoji.asElement();
+    if (!emojiElement) {
+      await this.page.keyboard.press("Escape");
+      return false;
+    }
+    await emojiElement.click();
+    return true;
+  }
+
+  /**
+   * Send the configured reply, quoting the message when possible
+   */
+  async _replyToMessage(message) {
+    if (message && config.acknowledgement.quote) {
+      await message.hover();
+      await this._delay(UI_ACTION_DELAY_MS);
+      const quoted =
+        (await this._clickFirstVisible(MESSAGE_MENU_SELECTORS)) &&
+        (await this._clickFirstVisible(REPLY_MENU_ITEM_SELECTORS));
+      if (!quoted) {
+        logger.debug("Could not quote message, sending plain reply");
+        await this.page.keyboard.press("Escape");
+      }
+    }
+
+    if (!(await this._clickFirstVisible(COMPOSER_SELECTORS))) return false;
+
+    // sendCharacter inserts text directly, so Arabic and emoji type correctly
+    await this.page.keyboard.sendCharacter(config.acknowledgement.replyText);
+    await this.page.keyboard.press("Enter");
+    return true;
+  }
+
+  /**
+   * Get watcher status
+   */
+  getStatus() {
+    return {
+      observerActive: this.observerActive,
+      startupTime: new Date(this.startupTime).toISOString(),
+      lastPollAt: this.lastPollAt
+        ? new Date(this.lastPollAt).toISOString()
+        : null,
+      trackedMessages: this.detectedHashes.size,
+      lastProcessedAt: this.lastProcessedAt
+        ? new Date(this.lastProcessedAt).toISOString()
+        : null,
+    };
+  }
+
   /**
    * Cleanup watcher
    */
   async cleanup() {
     this.observerActive = false;
+    await checkpoint.save();
     this.detectedHashes.clear();
+    this.recentTexts = [];
   }
 
   /**
@@ -0,0 +1,249 @@
+/**
+ * Webhooks Module
+ * Sends detections to configured HTTP targets as signed JSON POSTs
+ * Undelivered payloads stay in a disk-backed outbox and are retried later
+ */
+
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+import { config } from "../config.js";
+import { logger } from "../utils/logger.js";
+import { post } from "../utils/httpClient.js";
+
+// Constants
+const SIGNATURE_HEADER = "X-Sa7eny-Signature";
+const DELIVERY_HEADER = "X-Sa7eny-Delivery";
+const EVENT_TYPE = "detection";
+
+/**
+ * HMAC-SHA256 signature of the raw body
+ */
+function signBody(body, secret) {
+  return `sha256=${crypto.createHmac("sha256", secret).update(body).digest("hex")}`;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+class WebhookDispatcher {
+  constructor() {
+    this.outbox = [];
+    this.outboxPath = path.resolve(config.webhooks.outboxFile);
+    this.flushTimer = null;
+    this.isFlushing = false;
+    this.inFlight = new Set(); // Delivery ids currently being sent
+    this.saveChain = Promise.resolve(); // Serializes outbox writes
+  }
+
+  /**
+   * Load the outbox and start periodic redelivery
+   */
+  async initialize() {
+    if (!config.webhooks.enabled) return;
+
+    await this._loadOutbox();
+    if (this.outbox.length > 0) {
+      logger.info(`📤 ${this.outbox.length} webhook(s) waiting in outbox`);
+    }
+
+    this.flushTimer = setInterval(
+      () => this.flush(),
+      config.webhooks.outboxRetryIntervalMs,
+    );
+    this.flush();
+  }
+
+  /**
+   * Queue a detection for every enabled target and try to deliver it
+   * @param {Object} messageData - Detection data from the watcher
+   */
+  async dispatch(messageData) {
+    if (!config.webhooks.enabled) return;
+
+    const targets = config.webhooks.targets.filter(
+      (target) => target.enabled !== false && target.url,
+    );
+    if (targets.length === 0) return;
+
+    const payload = this._buildPayload(messageData);
+    const deliveries = targets.map((target) => ({
+      id: crypto.randomUUID(),
+      target: target.name || target.url,
+      payload,
+      attempts: 0,
+    }));
+
+    this.outbox.push(...deliveries);
+    await this._saveOutbox();
+    await Promise.all(deliveries.map((delivery) => this._process(delivery)));
+  }
+
+  /**
+   * JSON body sent to targets
+   */
+  _buildPayload(messageData) {
+    return {
+      event: EVENT_TYPE,
+      keyword: messageData.keyword,
+      rule: messageData.rule,
+      chat: messageData.chatName || null,
+      sender: messageData.sender || null,
+      isGroup: Boolean(messageData.isGroup),
+      text: messageData.text,
+      late: Boolean(messageData.late),
+      sentAt: messageData.sentAt || null,
+      timestamp: messageData.timestamp,
+    };
+  }
+
+  /**
+   * Try to deliver everything in the outbox
+   * Each delivery is retried with backoff; failures stay for the next flush
+   */
+  async flush() {
+    if (this.isFlushing || this.outbox.length === 0) return;
+
+    this.isFlushing = true;
+    try {
+      for (const delivery of [...this.outbox]) {
+        await this._process(delivery);
+      }
+    } finally {
+      this.isFlushing = false;
+    }
+  }
+
+  /**
+   * Deliver one outbox entry and drop it once delivered
+   */
+  async _process(delivery) {
+    if (this.inFlight.has(delivery.id)) return;
+
+    this.inFlight.add(delivery.id);
+    try {
+      const target = this._findTarget(delivery.target);
+      if (!target) {
+        logger.warn(
+          `Webhook target "${delivery.target}" no longer configured, dropping delivery`,
+        );
+        this._remove(delivery);
+      } else if (await this._deliverWithRetries(target, delivery)) {
+        this._remove(delivery);
+      }
+      await this._saveOutbox();
+    } finally {
+      this.inFlight.delete(delivery.id);
+    }
+  }
+
+  _findTarget(name) {
+    return config.webhooks.targets.find(
+      (target) =>
+        (target.name || target.url) === name && target.enabled !== false,
+    );
+  }
+
+  _remove(delivery) {
+    this.outbox = this.outbox.filter((entry) => entry.id !== delivery.id);
+  }
+
+  /**
+   * Deliver with exponential backoff (retryDelayMs, 2x, 4x, ...)
+   * @returns {Promise<boolean>} True if delivered
+   */
+  async _deliverWithRetries(target, delivery) {
+    const { maxRetries, retryDelayMs } = config.resilience;
+
+    for (let retry = 0; retry <= maxRetries; retry++) {
+      if (retry > 0) {
+        await sleep(retryDelayMs * 2 ** (retry - 1));
+      }
+
+      delivery.attempts++;
+      const result = await this._send(target, delivery);
+      if (result.ok) {
+        logger.info(`📤 Webhook delivered to ${delivery.target}`);
+        return true;
+      }
+
+      logger.debug(
+        `Webhook to ${delivery.target} failed (attempt ${delivery.attempts}): ` +
+          `${result.error || `HTTP ${result.status}`}`,
+      );
+    }
+
+    logger.warn(
+      `Webhook to ${delivery.target} failed ${delivery.attempts} time(s), kept in outbox`,
+    );
+    return false;
+  }
+
+  /**
+   * POST one delivery, signed when the target has a secret
+   */
+  _send(target, delivery) {
+    const body = JSON.stringify(delivery.payload);
+    const headers = {
+      "Content-Type": "application/json",
+      [DELIVERY_HEADER]: delivery.id,
+      ...target.headers,
+    };
+    if (target.secret) {
+      headers[SIGNATURE_HEADER] = signBody(body, target.secret);
+    }
+
+    return post(target.url, body, {
+      headers,
+      timeoutMs: config.webhooks.timeoutMs,
+    });
+  }
+
+  async _loadOutbox() {
+    try {
+      const saved = JSON.parse(await fs.readFile(this.outboxPath, "utf8"));
+      this.outbox = Array.isArray(saved) ? saved : [];
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        logger.warn(`Could not read webhook outbox: ${error.message}`);
+      }
+      this.outbox = [];
+    }
+  }
+
+  /**
+   * Queue an outbox write after any write already in progress
+   */
+  _saveOutbox() {
+    this.saveChain = this.saveChain.then(() => this._writeOutbox());
+    return this.saveChain;
+  }
+
+  /**
+   * Write the outbox atomically (temp file + rename)
+   */
+  async _writeOutbox() {
+    const tempPath = `${this.outboxPath}.tmp`;
+    try {
+      await fs.mkdir(path.dirname(this.outboxPath), { recursive: true });
+      await fs.writeFile(tempPath, JSON.stringify(this.outbox, null, 2));
+      await fs.rename(tempPath, this.outboxPath);
+    } catch (error) {
+      logger.error(`Could not save webhook outbox: ${error.message}`);
+    }
+  }
+
+  /**
+   * Stop periodic redelivery (the outbox is already on disk)
+   */
+  stop() {
+    if (this.flushTimer) {
+      clearInterval(this.flushTimer);
+      this.flushTimer = null;
+    }
+  }
+}
+
+export const webhooks = new WebhookDispatcher();
+export default webhooks;
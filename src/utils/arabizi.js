@@ -0,0 +1,160 @@
+/**
+ * Arabizi Utility
+ * Franco-Arabic (Latin-script Arabic) transliteration to Arabic script
+ * Lets Arabic keywords match messages like "3'eyab", "ta2kheer", "gheyab"
+ */
+
+// Multi-character sequences first so "gh" wins over "g" + "h"
+const ARABIZI_SEQUENCES = [
+  ["3'", "غ"],
+  ["7'", "خ"],
+  ["6'", "ظ"],
+  ["9'", "ض"],
+  ["gh", "غ"],
+  ["kh", "خ"],
+  ["sh", "ش"],
+  ["ch", "ش"],
+  ["th", "ث"],
+  ["dh", "ذ"],
+  ["ee", "ي"],
+  ["ii", "ي"],
+  ["ei", "ي"],
+  ["oo", "و"],
+  ["ou", "و"],
+  ["aa", "ا"],
+];
+
+// Digits-as-letters and single letters
+// 2 (hamza) maps to bare alef, matching the alef folding in normalizeArabicText
+const ARABIZI_LETTERS = {
+  2: "ا",
+  3: "ع",
+  5: "خ",
+  6: "ط",
+  7: "ح",
+  8: "ق",
+  9: "ص",
+  a: "ا",
+  b: "ب",
+  c: "ك",
+  d: "د",
+  e: "ي",
+  f: "ف",
+  g: "ج",
+  h: "ه",
+  i: "ي",
+  j: "ج",
+  k: "ك",
+  l: "ل",
+  m: "م",
+  n: "ن",
+  o: "و",
+  p: "ب",
+  q: "ق",
+  r: "ر",
+  s: "س",
+  t: "ت",
+  u: "و",
+  v: "ف",
+  w: "و",
+  x: "كس",
+  y: "ي",
+  z: "ز",
+};
+
+// Word-initial definite article spellings (el3'eyab, al-ghiyab, il...)
+const ARTICLE_PATTERN = /^(?:el|al|il)-?(?=.)/;
+const LATIN_PATTERN = /[a-z]/i;
+const VOWEL_LETTERS = new Set(["ا", "و", "ي"]);
+// Digits-as-letters and digraphs that plain English words rarely combine
+// with a matching consonant skeleton
+const ARABIZI_MARKER_PATTERN = /[2356789]|gh|kh|sh/i;
+// Shorter skeletons (غياب → غب) match too many English words on their own
+export const MIN_SKELETON_LENGTH = 3;
+
+/**
+ * Check whether text contains Latin letters (possible Arabizi)
+ * @param {string} text - Text to check
+ * @returns {boolean} True if any Latin letter is present
+ */
+export function containsLatin(text) {
+  return LATIN_PATTERN.test(text || "");
+}
+
+/**
+ * Check whether a Latin word carries an Arabizi marker (3, 7, gh, kh ...)
+ * Words without one ("bait", "bob") are treated as plain Latin text
+ * @param {string} word - Single word
+ * @returns {boolean} True if the word looks like Arabizi
+ */
+export function looksLikeArabizi(word) {
+  return containsLatin(word) && ARABIZI_MARKER_PATTERN.test(word);
+}
+
+/**
+ * Transliterate a single Arabizi word to Arabic script
+ * Words without Latin letters (plain numbers, Arabic) are returned unchanged
+ * @param {string} word - Single word
+ * @returns {string} Arabic-script word
+ */
+export function transliterateArabiziWord(word) {
+  if (!containsLatin(word)) return word;
+
+  let source = word.toLowerCase();
+  let result = "";
+
+  const article = source.match(ARTICLE_PATTERN);
+  if (article) {
+    result = "ال";
+    source = source.slice(article[0].length);
+  }
+
+  let index = 0;
+  while (index < source.length) {
+    const sequence = ARABIZI_SEQUENCES.find(([latin]) =>
+      source.startsWith(latin, index),
+    );
+    if (sequence) {
+      result += sequence[1];
+      index += sequence[0].length;
+      continue;
+    }
+
+    const char = source[index];
+    result += ARABIZI_LETTERS[char] ?? (char === "'" ? "" : char);
+    index++;
+  }
+
+  return result;
+}
+
+/**
+ * Reduce an Arabic word to a vowel-insensitive skeleton
+ * Arabizi spells vowels inconsistently ("gheyab", "ghiab", "3'eyab"), so
+ * inner ا/و/ي are dropped and repeated letters collapsed, keeping the first
+ * and last letters so short roots stay distinct (غياب → غب, غبي → غبي)
+ * @param {string} word - Arabic-script word
+ * @returns {string} Skeleton
+ */
+export function arabicSkeleton(word) {
+  const letters = [...(word || "")];
+  if (letters.length <= 2) return letters.join("");
+
+  const skeleton = [];
+  letters.forEach((letter, index) => {
+    const isEdge = index === 0 || index === letters.length - 1;
+    if (!isEdge && VOWEL_LETTERS.has(letter)) return;
+    if (skeleton[skeleton.length - 1] === letter) return;
+    skeleton.push(letter);
+  });
+
+  return skeleton.join("");
+}
+
+export default {
+  MIN_SKELETON_LENGTH,
+  containsLatin,
+  looksLikeArabizi,
+  transliterateArabiziWord,
+  arabicSkeleton,
+};
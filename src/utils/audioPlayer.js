@@ -0,0 +1,214 @@
+/**
+ * Audio Player Utility
+ * Pluggable playback backends for the alarm (Windows, Linux, macOS)
+ * Backend is auto-detected from the platform, installed commands and file type
+ */
+
+import { spawn, spawnSync } from "child_process";
+import path from "path";
+import { logger } from "./logger.js";
+import {
+  executePowerShellScript,
+  escapePowerShellPath,
+} from "./powershellHelper.js";
+
+// Constants
+const POWERSHELL_ASSEMBLY = "presentationCore";
+const POWERSHELL_FALLBACK_DURATION_SEC = 19; // Used if duration is unknown
+const POWERSHELL_OPEN_TIMEOUT_MS = 5000;
+
+/**
+ * Build PowerShell script for audio playback
+ * Waits for the media duration and exits when the track ends,
+ * so the exit event marks the real end of playback
+ */
+function buildPowerShellScript(soundFile) {
+  const escapedPath = escapePowerShellPath(soundFile);
+  const openPolls = POWERSHELL_OPEN_TIMEOUT_MS / 100;
+  return [
+    `Add-Type -AssemblyName ${POWERSHELL_ASSEMBLY}`,
+    "$mediaPlayer = New-Object system.windows.media.mediaplayer",
+    `$mediaPlayer.open('${escapedPath}')`,
+    "$polls = 0",
+    `while (-not $mediaPlayer.NaturalDuration.HasTimeSpan -and $polls -lt ${openPolls}) { Start-Sleep -Milliseconds 100; $polls++ }`,
+    "$mediaPlayer.Play()",
+    "if ($mediaPlayer.NaturalDuration.HasTimeSpan) { Start-Sleep -Milliseconds ([int]$mediaPlayer.NaturalDuration.TimeSpan.TotalMilliseconds) }",
+    `else { Start-Sleep -Seconds ${POWERSHELL_FALLBACK_DURATION_SEC} }`,
+    "$mediaPlayer.Stop()",
+    "$mediaPlayer.Close()",
+  ].join("; ");
+}
+
+/**
+ * Create a backend that plays a file with a command-line player
+ */
+function createCommandBackend({ name, command, platforms, extensions, args }) {
+  return {
+    name,
+    command,
+    platforms,
+    extensions,
+    play(soundFile) {
+      return spawn(command, args(soundFile), {
+        stdio: "ignore",
+        detached: false,
+      });
+    },
+    stop(audioProcess) {
+      if (audioProcess && audioProcess.exitCode === null) {
+        audioProcess.kill("SIGTERM");
+      }
+    },
+  };
+}
+
+/**
+ * Available backends in detection order
+ * `extensions: null` means the player handles any common format
+ */
+export const AUDIO_BACKENDS = [
+  {
+    name: "powershell",
+    command: "powershell.exe",
+    platforms: ["win32"],
+    extensions: null,
+    play(soundFile) {
+      return executePowerShellScript(buildPowerShellScript(soundFile), {
+        stdio: "ignore",
+        windowsHide: true,
+        detached: false,
+      });
+    },
+    stop(audioProcess) {
+      if (!audioProcess || audioProcess.exitCode !== null) return;
+
+      // Kill only this PowerShell process and its children (/T)
+      spawn("taskkill", ["/PID", String(audioProcess.pid), "/T", "/F"], {
+        stdio: "ignore",
+        windowsHide: true,
+      });
+    },
+  },
+  createCommandBackend({
+    name: "afplay",
+    command: "afplay",
+    platforms: ["darwin"],
+    extensions: null,
+    args: (soundFile) => [soundFile],
+  }),
+  createCommandBackend({
+    name: "mpg123",
+    command: "mpg123",
+    platforms: ["linux"],
+    extensions: [".mp3"],
+    args: (soundFile) => ["-q", soundFile],
+  }),
+  createCommandBackend({
+    name: "ffplay",
+    command: "ffplay",
+    platforms: ["linux", "darwin"],
+    extensions: null,
+    args: (soundFile) => [
+      "-nodisp",
+      "-autoexit",
+      "-loglevel",
+      "quiet",
+      soundFile,
+    ],
+  }),
+  createCommandBackend({
+    name: "paplay",
+    command: "paplay",
+    platforms: ["linux"],
+    extensions: [".wav", ".ogg", ".oga", ".flac"],
+    args: (soundFile) => [soundFile],
+  }),
+  createCommandBackend({
+    name: "aplay",
+    command: "aplay",
+    platforms: ["linux"],
+    extensions: [".wav"],
+    args: (soundFile) => ["-q", soundFile],
+  }),
+];
+
+/**
+ * Check if a command is installed and on PATH
+ * @param {string} command - Command name
+ * @returns {boolean} True if the command can be found
+ */
+export function isCommandAvailable(command) {
+  const lookup = process.platform === "win32" ? "where" : "which";
+  try {
+    const result = spawnSync(lookup, [command], {
+      stdio: "ignore",
+      windowsHide: true,
+    });
+    return result.status === 0;
+  } catch (error) {
+    logger.debug(`Command lookup error (${command}): ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Check if backend can play the given file on this platform
+ */
+function isBackendUsable(backend, soundFile, platform) {
+  if (!backend.platforms.includes(platform)) return false;
+
+  const extension = path.extname(soundFile).toLowerCase();
+  if (backend.extensions && !backend.extensions.includes(extension)) {
+    return false;
+  }
+
+  return isCommandAvailable(backend.command);
+}
+
+/**
+ * Detect the audio backend to use
+ * @param {string} soundFile - Audio file to be played
+ * @param {string|Object} preferred - Backend name, 'auto' for detection,
+ *   or a custom player { command, args } where "{file}" is the sound file
+ * @param {string} platform - Platform override (defaults to process.platform)
+ * @returns {Object|null} Backend or null if none is usable
+ */
+export function detectAudioBackend(
+  soundFile,
+  preferred = "auto",
+  platform = process.platform,
+) {
+  if (preferred && typeof preferred === "object") {
+    const { command, args = ["{file}"] } = preferred;
+    return createCommandBackend({
+      name: `custom:${path.basename(command)}`,
+      command,
+      platforms: [platform],
+      extensions: null,
+      args: (file) => args.map((arg) => (arg === "{file}" ? file : arg)),
+    });
+  }
+
+  if (preferred && preferred !== "auto") {
+    const backend = AUDIO_BACKENDS.find((b) => b.name === preferred);
+    if (!backend) {
+      logger.warn(`Unknown audio player "${preferred}", auto-detecting`);
+    } else if (isCommandAvailable(backend.command)) {
+      return backend;
+    } else {
+      logger.warn(`Audio player "${preferred}" not found, auto-detecting`);
+    }
+  }
+
+  return (
+    AUDIO_BACKENDS.find((backend) =>
+      isBackendUsable(backend, soundFile, platform),
+    ) || null
+  );
+}
+
+export default {
+  AUDIO_BACKENDS,
+  isCommandAvailable,
+  detectAudioBackend,
+};
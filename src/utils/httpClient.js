@@ -0,0 +1,55 @@
+/**
+ * HTTP Client Utility
+ * Minimal JSON/text POST helpers for webhooks and notifiers
+ */
+
+import { logger } from "./logger.js";
+
+// Constants
+export const DEFAULT_TIMEOUT_MS = 10000;
+
+/**
+ * POST a request body
+ * @param {string} url - Target URL
+ * @param {string} body - Raw request body
+ * @param {Object} options - { headers, timeoutMs }
+ * @returns {Promise<Object>} { ok, status, error? } (never throws)
+ */
+export async function post(url, body, options = {}) {
+  const { headers = {}, timeoutMs = DEFAULT_TIMEOUT_MS } = options;
+
+  try {
+    const response = await fetch(url, {
+      method: "POST",
+      headers,
+      body,
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+    // Drain the body so the connection can be reused
+    await response.arrayBuffer().catch(() => {});
+    return { ok: response.ok, status: response.status };
+  } catch (error) {
+    logger.debug(`POST ${url} failed: ${error.message}`);
+    return { ok: false, status: 0, error: error.message };
+  }
+}
+
+/**
+ * POST a JSON body
+ * @param {string} url - Target URL
+ * @param {Object} payload - Serialized as JSON
+ * @param {Object} options - { headers, timeoutMs }
+ * @returns {Promise<Object>} { ok, status, error? }
+ */
+export function postJson(url, payload, options = {}) {
+  return post(url, JSON.stringify(payload), {
+    ...options,
+    headers: { "Content-Type": "application/json", ...options.headers },
+  });
+}
+
+export default {
+  DEFAULT_TIMEOUT_MS,
+  post,
+  postJson,
+};
@@ -20,6 +20,8 @@ const LogLevelNames = {
   3: "ERROR",
 };
 
+const MAX_RECENT_LINES = 200; // Kept in memory for the dashboard
+
 const colors = {
   reset: "\x1b[0m",
   red: "\x1b[31m",
@@ -31,6 +33,7 @@ const colors = {
 class Logger {
   constructor() {
     this.level = LogLevel[config.logging.level] || LogLevel.INFO;
+    this.recentLines = [];
   }
 
   /**
@@ -87,6 +90,18 @@ class Logger {
     const color = this.getColor(level);
 
     console.log(`${color}${formatted}${colors.reset}`);
+
+    this.recentLines.push(formatted);
+    if (this.recentLines.length > MAX_RECENT_LINES) {
+      this.recentLines.shift();
+    }
+  }
+
+  /**
+   * Most recent logged lines, oldest first
+   */
+  getRecentLines(limit = MAX_RECENT_LINES) {
+    return this.recentLines.slice(-limit);
   }
 
   debug(message, error = null) {
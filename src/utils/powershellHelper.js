@@ -77,6 +77,61 @@ export function executePowerShellWithTimeout(
   });
 }
 
+/**
+ * Execute PowerShell script and capture its standard output
+ * @param {string} script - PowerShell script to execute
+ * @param {number} timeout - Timeout in milliseconds
+ * @returns {Promise<string|null>} Trimmed output, or null on failure/timeout
+ */
+export function executePowerShellWithOutput(
+  script,
+  timeout = DEFAULT_TIMEOUT_MS,
+) {
+  return new Promise((resolve) => {
+    try {
+      const process = executePowerShellScript(script, {
+        timeout,
+        stdio: ["ignore", "pipe", "ignore"],
+      });
+
+      let output = "";
+      let completed = false;
+      const timeoutHandle = setTimeout(() => {
+        if (!completed) {
+          completed = true;
+          process.kill();
+          resolve(null);
+        }
+      }, timeout);
+
+      process.stdout.on("data", (chunk) => {
+        output += chunk.toString();
+      });
+
+      // "close" fires after stdout is drained, unlike "exit"
+      process.on("close", (code) => {
+        clearTimeout(timeoutHandle);
+        if (!completed) {
+          completed = true;
+          resolve(code === 0 ? output.trim() : null);
+        }
+      });
+
+      process.on("error", (error) => {
+        clearTimeout(timeoutHandle);
+        if (!completed) {
+          completed = true;
+          logger.debug(`PowerShell execution error: ${error.message}`);
+          resolve(null);
+        }
+      });
+    } catch (error) {
+      logger.debug(`PowerShell spawn error: ${error.message}`);
+      resolve(null);
+    }
+  });
+}
+
 /**
  * Escape path for PowerShell
  * @param {string} path - File path to escape
@@ -86,10 +141,22 @@ export function escapePowerShellPath(path) {
   return path.replace(/\\/g, "\\\\");
 }
 
+/**
+ * Escape text for a single-quoted PowerShell string literal
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text (without surrounding quotes)
+ */
+export function escapePowerShellString(text) {
+  // PowerShell also treats typographic single quotes as string delimiters
+  return String(text).replace(/['\u2018\u2019\u201A\u201B]/g, "$&$&");
+}
+
 export default {
   POWERSHELL_FLAGS,
   DEFAULT_TIMEOUT_MS,
   executePowerShellScript,
   executePowerShellWithTimeout,
+  executePowerShellWithOutput,
   escapePowerShellPath,
+  escapePowerShellString,
 };
@@ -0,0 +1,53 @@
+/**
+ * QR Renderer Utility
+ * Renders the WhatsApp login QR code as terminal text and as a PNG file,
+ * so it can be scanned when the browser runs headless
+ */
+
+import fs from "fs/promises";
+import path from "path";
+import QRCode from "qrcode";
+
+// Constants
+const PNG_SCALE = 8; // Pixels per QR module
+const PNG_MARGIN = 4; // Quiet zone in modules (phones need it to scan)
+
+/**
+ * Render QR data as text for the terminal (two rows per character)
+ * @param {string} data - QR payload
+ * @returns {Promise<string>} Printable QR code
+ */
+export function renderTerminalQr(data) {
+  return QRCode.toString(data, { type: "terminal", small: true });
+}
+
+/**
+ * Write QR data as a PNG image
+ * @param {string} data - QR payload
+ * @param {string} filePath - Destination file
+ * @returns {Promise<string>} Absolute path of the written file
+ */
+export async function saveQrImage(data, filePath) {
+  const target = path.resolve(filePath);
+  await fs.mkdir(path.dirname(target), { recursive: true });
+  await QRCode.toFile(target, data, {
+    type: "png",
+    scale: PNG_SCALE,
+    margin: PNG_MARGIN,
+  });
+  return target;
+}
+
+/**
+ * Delete a saved QR image (ignores a missing file)
+ * @param {string} filePath - File written by saveQrImage
+ */
+export async function removeQrImage(filePath) {
+  await fs.rm(path.resolve(filePath), { force: true });
+}
+
+export default {
+  renderTerminalQr,
+  saveQrImage,
+  removeQrImage,
+};
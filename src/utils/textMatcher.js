@@ -2,18 +2,52 @@
  * Text Matcher Utility
  * Arabic text normalization and keyword matching
  * Handles Unicode normalization, tatweel removal, invisible character cleanup
+ * and optional Arabic letter/digit folding
  */
 
+import { config } from "../config.js";
 import { logger } from "./logger.js";
+import {
+  MIN_SKELETON_LENGTH,
+  containsLatin,
+  looksLikeArabizi,
+  transliterateArabiziWord,
+  arabicSkeleton,
+} from "./arabizi.js";
+
+// Constants
+const DEFAULT_MAX_EDIT_DISTANCE = 1;
+const FUZZY_MIN_WORD_LENGTH = 4; // Shorter keywords only match by stem
+const STEM_PREFIXES = [
+  "وال",
+  "بال",
+  "كال",
+  "فال",
+  "لل",
+  "ال",
+  "و",
+  "ب",
+  "ف",
+  "ل",
+  "ك",
+];
+const STEM_SUFFIXES = ["ات", "ين", "ون", "ان", "ها", "هم", "يه", "ه", "ي"];
 
 /**
  * Normalize Arabic text for comparison
  * - Unicode NFC normalization
  * - Remove tatweel (U+0640) - elongation mark
  * - Remove zero-width characters
- * - Remove diacritics (optional)
+ * - Optional folds (config.detection.normalization):
+ *   diacritics, alef/yaa/taa-marbuta variants, Arabic-Indic digits, bidi controls
+ * @param {string} text - Text to normalize
+ * @param {Object} options - Normalization flags (defaults to config)
+ * @returns {string} Normalized text
  */
-export function normalizeArabicText(text) {
+export function normalizeArabicText(
+  text,
+  options = config.detection.normalization || {},
+) {
   if (!text) return "";
 
   try {
@@ -29,8 +63,44 @@ export function normalizeArabicText(text) {
     // Remove soft hyphens
     normalized = normalized.replace(/\u00AD/g, "");
 
-    // Remove right-to-left marks (optional, may affect meaning)
-    // normalized = normalized.replace(/[\u202A-\u202E]/g, '');
+    // Remove bidi embedding/override/isolate controls and Arabic letter mark
+    if (options.stripBidi) {
+      normalized = normalized.replace(
+        /[\u061C\u202A-\u202E\u2066-\u2069]/g,
+        "",
+      );
+    }
+
+    // Fold alef variants (أ إ آ ٱ) to bare alef (ا) before dropping marks,
+    // so NFC-composed hamza/madda forms fold the same as decomposed ones
+    if (options.foldAlef) {
+      normalized = normalized.replace(/[\u0622\u0623\u0625\u0671]/g, "\u0627");
+    }
+
+    // Remove harakat, tanween, shadda, sukun, superscript alef, Quranic marks
+    if (options.removeDiacritics) {
+      normalized = normalized.replace(
+        /[\u064B-\u065F\u0670\u06D6-\u06DC\u06DF-\u06E4\u06E7\u06E8\u06EA-\u06ED]/g,
+        "",
+      );
+    }
+
+    // Fold alef maksura (ى) to yaa (ي)
+    if (options.foldYaa) {
+      normalized = normalized.replace(/\u0649/g, "\u064A");
+    }
+
+    // Fold taa marbuta (ة) to haa (ه)
+    if (options.foldTaaMarbuta) {
+      normalized = normalized.replace(/\u0629/g, "\u0647");
+    }
+
+    // Convert Arabic-Indic (٠-٩) and Extended Arabic-Indic (۰-۹) digits
+    if (options.convertDigits) {
+      normalized = normalized
+        .replace(/[\u0660-\u0669]/g, (d) => String(d.charCodeAt(0) - 0x0660))
+        .replace(/[\u06F0-\u06F9]/g, (d) => String(d.charCodeAt(0) - 0x06f0));
+    }
 
     return normalized;
   } catch (error) {
@@ -61,45 +131,469 @@ export function hashText(text) {
 /**
  * Safe string matching with multiple strategies
  * Returns true if text matches any keyword
+ * Keywords are plain strings or expressions from compileKeywordExpression()
  */
 export function matchKeywords(text, keywords, options = {}) {
   if (!text || !keywords || keywords.length === 0) {
     return false;
   }
 
-  const { caseSensitive = false, wholeWordMatch = false } = options;
+  const { caseSensitive = false } = options;
 
-  // Normalize both text and keywords
+  // Normalize text once; keywords are normalized per entry
   const normalizedText = normalizeArabicText(text);
-  const normalizedKeywords = keywords.map((kw) => normalizeArabicText(kw));
 
   // Convert to lowercase if not case-sensitive
   const searchText = caseSensitive
     ? normalizedText
     : normalizedText.toLowerCase();
 
-  for (const keyword of normalizedKeywords) {
-    const searchKeyword = caseSensitive ? keyword : keyword.toLowerCase();
-
-    if (wholeWordMatch) {
-      // Whole word match (word boundaries)
-      // For Arabic, use simple space/punctuation boundaries
-      const wordRegex = new RegExp(
-        `(^|\\s|[\\p{P}])(${escapeRegex(searchKeyword)})($|\\s|[\\p{P}])`,
-        "u",
-      );
-      if (wordRegex.test(searchText)) {
+  for (const keyword of keywords) {
+    if (keyword && keyword.ast) {
+      if (evaluateExpression(keyword.ast, searchText, options)) {
         return true;
       }
+      continue;
+    }
+
+    const normalizedKeyword = normalizeArabicText(keyword);
+    const searchKeyword = caseSensitive
+      ? normalizedKeyword
+      : normalizedKeyword.toLowerCase();
+
+    if (matchesTerm(searchText, searchKeyword, options)) {
+      return true;
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Match a single normalized term against normalized text
+ * Modes: 'exact' (substring/whole word), 'stem' (same light stem),
+ * 'fuzzy' (stem or bounded edit distance)
+ */
+function matchesTerm(searchText, searchKeyword, options) {
+  if (!searchKeyword) return false;
+
+  const {
+    wholeWordMatch = false,
+    mode = "exact",
+    arabizi = config.detection.arabizi?.enabled ?? false,
+  } = options;
+
+  if (arabizi && matchesArabizi(searchText, searchKeyword, options)) {
+    return true;
+  }
+
+  if (mode === "stem" || mode === "fuzzy") {
+    const textWords = splitWords(searchText);
+    return (
+      findWordSpans(textWords, splitWords(searchKeyword), options).length > 0
+    );
+  }
+
+  if (wholeWordMatch) {
+    // Whole word match (word boundaries)
+    // For Arabic, use simple space/punctuation boundaries
+    const wordRegex = new RegExp(
+      `(^|\\s|[\\p{P}])(${escapeRegex(searchKeyword)})($|\\s|[\\p{P}])`,
+      "u",
+    );
+    return wordRegex.test(searchText);
+  }
+
+  // Substring match (simpler, faster)
+  return searchText.includes(searchKeyword);
+}
+
+/**
+ * Match an Arabic keyword against Arabizi words in the text
+ * Only words with an Arabizi marker (3, 7, gh, kh ...) are transliterated;
+ * Arabizi words are always compared whole, using the rule's match mode.
+ * Case-sensitive matching compares the text as written, so it skips this
+ */
+function matchesArabizi(searchText, searchKeyword, options) {
+  const { caseSensitive = false } = options;
+  if (caseSensitive || containsLatin(searchKeyword)) return false;
+  if (!containsLatin(searchText)) return false;
+
+  const keywordWords = splitWords(searchKeyword);
+  // Split on whitespace only: apostrophes are letters in Arabizi (3'eyab)
+  const textWords = searchText
+    .split(/\s+/)
+    .map((word) => word.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}']+$/gu, ""))
+    .filter(Boolean);
+  if (!textWords.some(looksLikeArabizi)) return false;
+
+  for (let i = 0; i + keywordWords.length <= textWords.length; i++) {
+    const matches = keywordWords.every((keywordWord, offset) => {
+      const word = textWords[i + offset];
+      if (looksLikeArabizi(word)) {
+        const arabic = normalizeArabicText(transliterateArabiziWord(word));
+        return arabiziWordMatches(arabic, keywordWord, options);
+      }
+      // Arabic words next to Arabizi ones ("el 3'eyab النهارده")
+      return !containsLatin(word) && wordMatches(word, keywordWord, options);
+    });
+    if (matches) return true;
+  }
+
+  return false;
+}
+
+/**
+ * Compare a transliterated Arabizi word with an Arabic keyword word
+ * Vowel spelling varies ("gheyab", "ghiab"), so mode 'exact' compares
+ * skeletons, falling back to the full spelling for short skeletons
+ */
+function arabiziWordMatches(arabicWord, keywordWord, options) {
+  const { mode = "exact", maxEditDistance = DEFAULT_MAX_EDIT_DISTANCE } =
+    options;
+  const textWord = collapseRepeats(arabicWord);
+  const keyword = collapseRepeats(keywordWord);
+
+  if (sameArabiziSpelling(textWord, keyword)) return true;
+  if (mode === "exact") return false;
+
+  if (sameArabiziSpelling(stemArabicWord(textWord), stemArabicWord(keyword))) {
+    return true;
+  }
+  if (mode !== "fuzzy" || keyword.length < FUZZY_MIN_WORD_LENGTH) {
+    return false;
+  }
+  return editDistance(textWord, keyword, maxEditDistance) <= maxEditDistance;
+}
+
+function sameArabiziSpelling(a, b) {
+  const skeleton = arabicSkeleton(a);
+  if (skeleton.length >= MIN_SKELETON_LENGTH) {
+    return skeleton === arabicSkeleton(b);
+  }
+  return a === b;
+}
+
+/**
+ * Collapse doubled letters ("ee", "yy" both become one ي)
+ */
+function collapseRepeats(word) {
+  return word.replace(/(.)\1+/gu, "$1");
+}
+
+/**
+ * Compile a boolean keyword expression
+ * Supports AND, OR, NOT, parentheses, "quoted phrases" and NEAR/n proximity
+ * Adjacent terms without an operator are combined with AND
+ * Example: (غياب OR تأخير) AND NOT "لا يوجد"
+ * @param {string} expression - Expression source
+ * @returns {Object} Compiled expression ({ expression, ast }) for matchKeywords
+ * @throws {Error} If the expression cannot be parsed
+ */
+export function compileKeywordExpression(expression) {
+  const tokens = tokenizeExpression(expression || "");
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const next = () => tokens[position++];
+
+  const parseOr = () => {
+    let node = parseAnd();
+    while (peek()?.type === "OR") {
+      next();
+      node = { type: "or", left: node, right: parseAnd() };
+    }
+    return node;
+  };
+
+  const parseAnd = () => {
+    let node = parseNot();
+    while (peek() && !["OR", "RPAREN"].includes(peek().type)) {
+      if (peek().type === "AND") next();
+      node = { type: "and", left: node, right: parseNot() };
+    }
+    return node;
+  };
+
+  const parseNot = () => {
+    if (peek()?.type === "NOT") {
+      next();
+      return { type: "not", operand: parseNot() };
+    }
+    return parseNear();
+  };
+
+  const parseNear = () => {
+    let node = parsePrimary();
+    while (peek()?.type === "NEAR") {
+      const { distance } = next();
+      const right = parsePrimary();
+      if (!isTermNode(node) || !isTermNode(right)) {
+        throw new Error("NEAR operands must be terms or phrases");
+      }
+      node = { type: "near", left: node, right, distance };
+    }
+    return node;
+  };
+
+  const parsePrimary = () => {
+    const token = next();
+    if (!token) {
+      throw new Error("Unexpected end of expression");
+    }
+
+    if (token.type === "LPAREN") {
+      const node = parseOr();
+      if (next()?.type !== "RPAREN") {
+        throw new Error("Missing closing parenthesis");
+      }
+      return node;
+    }
+
+    if (token.type === "TERM" || token.type === "PHRASE") {
+      const words = normalizeArabicText(token.value).split(/\s+/);
+      return { type: token.type === "PHRASE" ? "phrase" : "term", words };
+    }
+
+    throw new Error(`Unexpected token "${token.value}"`);
+  };
+
+  const ast = parseOr();
+  if (position < tokens.length) {
+    throw new Error(`Unexpected token "${peek().value}"`);
+  }
+
+  return { expression, ast };
+}
+
+/**
+ * Split expression source into tokens
+ * Operators must be uppercase so plain words like "or" stay searchable
+ */
+function tokenizeExpression(source) {
+  const tokens = [];
+  const tokenRegex = /\s*(?:(\()|(\))|"([^"]*)"|([^\s()"]+))/gy;
+  let consumed = 0;
+  let match;
+
+  while ((match = tokenRegex.exec(source)) !== null) {
+    consumed = tokenRegex.lastIndex;
+    const [, lparen, rparen, phrase, word] = match;
+
+    if (lparen) tokens.push({ type: "LPAREN", value: "(" });
+    else if (rparen) tokens.push({ type: "RPAREN", value: ")" });
+    else if (phrase !== undefined) {
+      if (!phrase.trim()) throw new Error("Empty phrase in expression");
+      tokens.push({ type: "PHRASE", value: phrase.trim() });
+    } else if (word === "AND" || word === "OR" || word === "NOT") {
+      tokens.push({ type: word, value: word });
+    } else if (/^NEAR\/\d+$/.test(word)) {
+      tokens.push({
+        type: "NEAR",
+        value: word,
+        distance: Number(word.slice(5)),
+      });
     } else {
-      // Substring match (simpler, faster)
-      if (searchText.includes(searchKeyword)) {
-        return true;
+      tokens.push({ type: "TERM", value: word });
+    }
+  }
+
+  if (source.slice(consumed).trim()) {
+    throw new Error("Unterminated phrase in expression");
+  }
+  if (tokens.length === 0) {
+    throw new Error("Empty expression");
+  }
+
+  return tokens;
+}
+
+function isTermNode(node) {
+  return node.type === "term" || node.type === "phrase";
+}
+
+/**
+ * Evaluate compiled expression AST against normalized search text
+ */
+function evaluateExpression(node, searchText, options) {
+  const { caseSensitive = false } = options;
+
+  switch (node.type) {
+    case "or":
+      return (
+        evaluateExpression(node.left, searchText, options) ||
+        evaluateExpression(node.right, searchText, options)
+      );
+    case "and":
+      return (
+        evaluateExpression(node.left, searchText, options) &&
+        evaluateExpression(node.right, searchText, options)
+      );
+    case "not":
+      return !evaluateExpression(node.operand, searchText, options);
+    case "near":
+      return matchesNear(node, searchText, options);
+    default: {
+      const phrase = node.words.join(" ");
+      return matchesTerm(
+        searchText,
+        caseSensitive ? phrase : phrase.toLowerCase(),
+        options,
+      );
+    }
+  }
+}
+
+/**
+ * Check that two terms/phrases occur with at most `distance` words between them
+ */
+function matchesNear(node, searchText, options) {
+  const textWords = splitWords(searchText);
+  const leftSpans = findWordSpans(textWords, node.left.words, options);
+  const rightSpans = findWordSpans(textWords, node.right.words, options);
+
+  return leftSpans.some((left) =>
+    rightSpans.some((right) => {
+      const gap =
+        left.end < right.start
+          ? right.start - left.end - 1
+          : left.start - right.end - 1;
+      return gap >= 0 && gap <= node.distance;
+    }),
+  );
+}
+
+/**
+ * Split text into words on whitespace and punctuation
+ */
+function splitWords(text) {
+  return text.split(/[\s\p{P}]+/u).filter(Boolean);
+}
+
+/**
+ * Find word-index spans where a term/phrase occurs in tokenized text
+ */
+function findWordSpans(textWords, termWords, options) {
+  const { caseSensitive = false } = options;
+  const words = termWords.map((word) =>
+    caseSensitive ? word : word.toLowerCase(),
+  );
+  const spans = [];
+
+  for (let i = 0; i + words.length <= textWords.length; i++) {
+    const matches = words.every((word, offset) =>
+      wordMatches(textWords[i + offset], word, options),
+    );
+    if (matches) {
+      spans.push({ start: i, end: i + words.length - 1 });
+    }
+  }
+
+  return spans;
+}
+
+/**
+ * Compare a single text word with a single keyword word
+ */
+function wordMatches(textWord, keywordWord, options) {
+  const {
+    wholeWordMatch = false,
+    mode = "exact",
+    maxEditDistance = DEFAULT_MAX_EDIT_DISTANCE,
+  } = options;
+
+  if (mode === "exact") {
+    return wholeWordMatch
+      ? textWord === keywordWord
+      : textWord.includes(keywordWord);
+  }
+
+  const textStem = stemArabicWord(textWord);
+  const keywordStem = stemArabicWord(keywordWord);
+  if (textWord === keywordWord || textStem === keywordStem) return true;
+  if (mode !== "fuzzy" || keywordWord.length < FUZZY_MIN_WORD_LENGTH) {
+    return false;
+  }
+
+  return (
+    editDistance(textStem, keywordStem, maxEditDistance) <= maxEditDistance ||
+    editDistance(textWord, keywordWord, maxEditDistance) <= maxEditDistance
+  );
+}
+
+/**
+ * Light Arabic stemmer
+ * Strips one common prefix (ال، وال، بال، و، ب ...) and common suffixes
+ * (ات، ين، ون، ها ...) while keeping at least a three-letter core
+ * Expects text already passed through normalizeArabicText
+ * @param {string} word - Single normalized word
+ * @returns {string} Stemmed word
+ */
+export function stemArabicWord(word) {
+  if (!word) return "";
+
+  let stem = word;
+
+  const prefix = STEM_PREFIXES.find(
+    (p) =>
+      stem.startsWith(p) && stem.length - p.length >= (p.length > 1 ? 2 : 3),
+  );
+  if (prefix) {
+    stem = stem.slice(prefix.length);
+  }
+
+  for (const suffix of STEM_SUFFIXES) {
+    if (stem.endsWith(suffix) && stem.length - suffix.length >= 3) {
+      stem = stem.slice(0, -suffix.length);
+    }
+  }
+
+  return stem;
+}
+
+/**
+ * Bounded Damerau-Levenshtein (optimal string alignment) distance
+ * Returns max + 1 as soon as the distance is known to exceed max
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @param {number} max - Largest distance of interest
+ * @returns {number} Edit distance, capped at max + 1
+ */
+export function editDistance(a, b, max = DEFAULT_MAX_EDIT_DISTANCE) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previousPrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + cost,
+      );
+      if (
+        previousPrevious &&
+        j > 1 &&
+        a[i - 1] === b[j - 2] &&
+        a[i - 2] === b[j - 1]
+      ) {
+        value = Math.min(value, previousPrevious[j - 2] + 1);
       }
+      current[j] = value;
+      rowMin = Math.min(rowMin, value);
     }
+
+    if (rowMin > max) return max + 1;
+    previousPrevious = previous;
+    previous = current;
   }
 
-  return false;
+  return Math.min(previous[b.length], max + 1);
 }
 
 /**
@@ -189,6 +683,9 @@ export default {
   normalizeArabicText,
   hashText,
   matchKeywords,
+  compileKeywordExpression,
+  stemArabicWord,
+  editDistance,
   extractMessageText,
   isSystemMessage,
   getMessageTimestamp,
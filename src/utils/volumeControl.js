@@ -0,0 +1,307 @@
+/**
+ * Volume Control Utility
+ * Saves, raises and restores the system output volume and mute state
+ * Windows: PowerShell + CoreAudio, Linux: pactl (PulseAudio/PipeWire) or amixer (ALSA)
+ */
+
+import { execFile } from "child_process";
+import { logger } from "./logger.js";
+import { isCommandAvailable } from "./audioPlayer.js";
+import {
+  executePowerShellWithTimeout,
+  executePowerShellWithOutput,
+} from "./powershellHelper.js";
+
+// Constants
+const COMMAND_TIMEOUT_MS = 10000; // CoreAudio Add-Type compiles on first use
+const PACTL_SINK = "@DEFAULT_SINK@";
+const AMIXER_CONTROL = "Master";
+
+/**
+ * CoreAudio interop for the default render endpoint
+ * Exposes [Audio]::Volume (0.0 - 1.0) and [Audio]::Mute
+ */
+const CORE_AUDIO_TYPE = `Add-Type -TypeDefinition @'
+using System.Runtime.InteropServices;
+[Guid("5CDF2C82-841E-4546-9722-0CF74078229A"), InterfaceType(ComInterfaceType.InterfaceIsIUnknown)]
+interface IAudioEndpointVolume {
+  int f(); int g(); int h(); int i();
+  int SetMasterVolumeLevelScalar(float fLevel, System.Guid pguidEventContext);
+  int j();
+  int GetMasterVolumeLevelScalar(out float pfLevel);
+  int k(); int l(); int m(); int n();
+  int SetMute([MarshalAs(UnmanagedType.Bool)] bool bMute, System.Guid pguidEventContext);
+  int GetMute(out bool pbMute);
+}
+[Guid("D666063F-1587-4E43-81F1-B948E807363F"), InterfaceType(ComInterfaceType.InterfaceIsIUnknown)]
+interface IMMDevice {
+  int Activate(ref System.Guid id, int clsCtx, int activationParams, out IAudioEndpointVolume aev);
+}
+[Guid("A95664D2-9614-4F35-A746-DE8DB63617E6"), InterfaceType(ComInterfaceType.InterfaceIsIUnknown)]
+interface IMMDeviceEnumerator {
+  int f();
+  int GetDefaultAudioEndpoint(int dataFlow, int role, out IMMDevice endpoint);
+}
+[ComImport, Guid("BCDE0395-E52F-467C-8E3D-C4579291692E")] class MMDeviceEnumeratorComObject { }
+public class Audio {
+  static IAudioEndpointVolume Vol() {
+    var enumerator = new MMDeviceEnumeratorComObject() as IMMDeviceEnumerator;
+    IMMDevice dev = null;
+    Marshal.ThrowExceptionForHR(enumerator.GetDefaultAudioEndpoint(0, 1, out dev));
+    IAudioEndpointVolume epv = null;
+    var epvid = typeof(IAudioEndpointVolume).GUID;
+    Marshal.ThrowExceptionForHR(dev.Activate(ref epvid, 23, 0, out epv));
+    return epv;
+  }
+  public static float Volume {
+    get { float v = -1; Marshal.ThrowExceptionForHR(Vol().GetMasterVolumeLevelScalar(out v)); return v; }
+    set { Marshal.ThrowExceptionForHR(Vol().SetMasterVolumeLevelScalar(value, System.Guid.Empty)); }
+  }
+  public static bool Mute {
+    get { bool mute; Marshal.ThrowExceptionForHR(Vol().GetMute(out mute)); return mute; }
+    set { Marshal.ThrowExceptionForHR(Vol().SetMute(value, System.Guid.Empty)); }
+  }
+}
+'@`;
+
+/**
+ * Run a command and capture its standard output
+ * @returns {Promise<string|null>} Output, or null on failure
+ */
+function runCommand(command, args) {
+  return new Promise((resolve) => {
+    execFile(
+      command,
+      args,
+      { timeout: COMMAND_TIMEOUT_MS, windowsHide: true },
+      (error, stdout) => {
+        if (error) {
+          logger.debug(`${command} error: ${error.message}`);
+          resolve(null);
+          return;
+        }
+        resolve(stdout.toString());
+      },
+    );
+  });
+}
+
+/**
+ * Clamp a volume percentage to 0-100
+ */
+function clampVolume(volume) {
+  return Math.max(0, Math.min(100, Math.round(volume)));
+}
+
+/**
+ * Platform backends: get() → { volume, muted } | null, set(state) → boolean
+ */
+const VOLUME_BACKENDS = {
+  powershell: {
+    async get() {
+      const output = await executePowerShellWithOutput(
+        `${CORE_AUDIO_TYPE}\n` +
+          "$inv = [Globalization.CultureInfo]::InvariantCulture; " +
+          'Write-Output ("{0}|{1}" -f [Audio]::Volume.ToString($inv), [Audio]::Mute)',
+        COMMAND_TIMEOUT_MS,
+      );
+      const match = /^([\d.]+)\|(True|False)$/im.exec(output || "");
+      if (!match) return null;
+
+      return {
+        volume: clampVolume(parseFloat(match[1]) * 100),
+        muted: match[2].toLowerCase() === "true",
+      };
+    },
+    set({ volume, muted }) {
+      const level = (clampVolume(volume) / 100).toFixed(2);
+      return executePowerShellWithTimeout(
+        `${CORE_AUDIO_TYPE}\n` +
+          `[Audio]::Volume = ${level}; [Audio]::Mute = $${muted}`,
+        COMMAND_TIMEOUT_MS,
+      );
+    },
+  },
+
+  pactl: {
+    async get() {
+      const volumeOutput = await runCommand("pactl", [
+        "get-sink-volume",
+        PACTL_SINK,
+      ]);
+      const muteOutput = await runCommand("pactl", [
+        "get-sink-mute",
+        PACTL_SINK,
+      ]);
+      const volumeMatch = /(\d+)%/.exec(volumeOutput || "");
+      const muteMatch = /Mute:\s*(yes|no)/i.exec(muteOutput || "");
+      if (!volumeMatch || !muteMatch) return null;
+
+      return {
+        volume: clampVolume(Number(volumeMatch[1])),
+        muted: muteMatch[1].toLowerCase() === "yes",
+      };
+    },
+    async set({ volume, muted }) {
+      const volumeSet = await runCommand("pactl", [
+        "set-sink-volume",
+        PACTL_SINK,
+        `${clampVolume(volume)}%`,
+      ]);
+      const muteSet = await runCommand("pactl", [
+        "set-sink-mute",
+        PACTL_SINK,
+        muted ? "1" : "0",
+      ]);
+      return volumeSet !== null && muteSet !== null;
+    },
+  },
+
+  amixer: {
+    async get() {
+      const output = await runCommand("amixer", ["get", AMIXER_CONTROL]);
+      const match = /\[(\d+)%\].*?\[(on|off)\]/.exec(output || "");
+      if (!match) return null;
+
+      return {
+        volume: clampVolume(Number(match[1])),
+        muted: match[2] === "off",
+      };
+    },
+    async set({ volume, muted }) {
+      const output = await runCommand("amixer", [
+        "set",
+        AMIXER_CONTROL,
+        `${clampVolume(volume)}%`,
+        muted ? "mute" : "unmute",
+      ]);
+      return output !== null;
+    },
+  },
+};
+
+class VolumeController {
+  constructor() {
+    this.backendName = undefined; // Detected lazily
+    this.savedState = null;
+    this.queue = Promise.resolve(); // Runs raise/restore one at a time
+  }
+
+  /**
+   * Run a volume change after the ones already queued
+   * A restore() issued while a raise() is in flight then undoes it
+   */
+  _enqueue(task) {
+    const result = this.queue.then(task);
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Detect volume backend for this platform
+   */
+  _detectBackend() {
+    if (this.backendName !== undefined) return this.backendName;
+
+    if (process.platform === "win32") {
+      this.backendName = "powershell";
+    } else if (process.platform === "linux") {
+      this.backendName = ["pactl", "amixer"].find(isCommandAvailable) || null;
+    } else {
+      this.backendName = null;
+    }
+
+    logger.debug(`Volume backend: ${this.backendName || "none"}`);
+    return this.backendName;
+  }
+
+  /**
+   * Read current volume and mute state
+   * @returns {Promise<Object|null>} { volume, muted } or null if unsupported
+   */
+  async getState() {
+    const backendName = this._detectBackend();
+    if (!backendName) return null;
+
+    try {
+      return await VOLUME_BACKENDS[backendName].get();
+    } catch (error) {
+      logger.debug(`Volume read error: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Apply volume and mute state
+   * @returns {Promise<boolean>} True if applied
+   */
+  async setState(state) {
+    const backendName = this._detectBackend();
+    if (!backendName) return false;
+
+    try {
+      return await VOLUME_BACKENDS[backendName].set(state);
+    } catch (error) {
+      logger.debug(`Volume set error: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Save the current state (once) and raise volume to the target, unmuted
+   * @param {number} targetVolume - Volume percentage (0-100)
+   * @returns {Promise<boolean>} True if the volume was raised
+   */
+  raise(targetVolume) {
+    return this._enqueue(() => this._raise(targetVolume));
+  }
+
+  async _raise(targetVolume) {
+    const isFirstRaise = !this.savedState;
+    if (isFirstRaise) {
+      this.savedState = await this.getState();
+      if (!this.savedState) {
+        logger.warn("Could not read system volume");
+        return false;
+      }
+      logger.debug(
+        `Saved volume: ${this.savedState.volume}% (muted: ${this.savedState.muted})`,
+      );
+    }
+
+    const raised = await this.setState({ volume: targetVolume, muted: false });
+    if (raised) {
+      // Later calls (e.g. escalation ramp steps) only log at debug level
+      const log = isFirstRaise ? logger.info : logger.debug;
+      log.call(logger, `🔊 System volume set to ${clampVolume(targetVolume)}%`);
+    } else {
+      logger.warn("Could not set system volume");
+    }
+    return raised;
+  }
+
+  /**
+   * Restore the state saved by raise()
+   * @returns {Promise<boolean>} True if restored (or nothing to restore)
+   */
+  restore() {
+    return this._enqueue(() => this._restore());
+  }
+
+  async _restore() {
+    if (!this.savedState) return true;
+
+    const saved = this.savedState;
+    const restored = await this.setState(saved);
+    if (restored) {
+      this.savedState = null;
+      logger.debug(`Restored volume: ${saved.volume}% (muted: ${saved.muted})`);
+    } else {
+      logger.warn("Could not restore system volume");
+    }
+    return restored;
+  }
+}
+
+export const volumeControl = new VolumeController();
+export default volumeControl;
@@ -39,6 +39,199 @@ export const MESSAGE_CONTAINER_SELECTORS = [
   ".message-in",
 ];
 
+/**
+ * Selectors for the chat-list sidebar
+ */
+export const CHAT_LIST_SELECTORS = [
+  "#pane-side",
+  '[data-testid="chat-list"]',
+  'div[aria-label="Chat list"]',
+];
+
+/**
+ * Selectors for individual chat rows inside the chat list
+ */
+export const CHAT_ROW_SELECTORS = [
+  '[data-testid="cell-frame-container"]',
+  'div[role="listitem"]',
+  'div[role="row"]',
+];
+
+/**
+ * Selectors for chat title inside a chat row
+ */
+export const CHAT_ROW_TITLE_SELECTORS = [
+  '[data-testid="cell-frame-title"] span[title]',
+  'span[dir="auto"][title]',
+];
+
+/**
+ * Selectors for last-message preview inside a chat row
+ */
+export const CHAT_ROW_PREVIEW_SELECTORS = [
+  '[data-testid="last-msg-status"] span[title]',
+  '[data-testid="last-msg-status"]',
+  'div[role="gridcell"] + div span[title]',
+];
+
+/**
+ * Selectors for the whole last-message line of a chat row
+ * In groups it also holds the "Sender: " prefix
+ */
+export const CHAT_ROW_PREVIEW_LINE_SELECTORS = [
+  '[data-testid="last-msg-status"]',
+  'div[role="gridcell"] + div',
+];
+
+/**
+ * Selectors for the sender name in a group row's last-message line
+ */
+export const CHAT_ROW_SENDER_SELECTORS = [
+  '[data-testid="last-msg-status"] [data-testid="author"]',
+];
+
+/**
+ * Selectors for the default group avatar inside a chat row
+ */
+export const CHAT_ROW_GROUP_SELECTORS = [
+  '[data-icon="default-group"]',
+  '[data-testid="default-group"]',
+];
+
+/**
+ * Selectors for last-message time inside a chat row
+ */
+export const CHAT_ROW_TIME_SELECTORS = [
+  '[data-testid="cell-frame-primary-detail"]',
+];
+
+/**
+ * Selectors for unread badges inside a chat row
+ */
+export const UNREAD_BADGE_SELECTORS = [
+  '[data-testid="icon-unread-count"]',
+  'span[aria-label*="unread"]',
+  'span[aria-label*="غير مقروءة"]',
+];
+
+/**
+ * Selectors for the message composer of the open chat
+ */
+export const COMPOSER_SELECTORS = [
+  '[data-testid="conversation-compose-box-input"]',
+  'footer div[contenteditable="true"]',
+  'div[aria-label="Type a message"]',
+];
+
+/**
+ * Selectors for the per-message context menu button (shown on hover)
+ */
+export const MESSAGE_MENU_SELECTORS = [
+  'span[data-icon="down-context"]',
+  'div[aria-label="Context menu"]',
+  '[data-testid="icon-down-context"]',
+];
+
+/**
+ * Selectors for the "Reply" entry of the message context menu
+ */
+export const REPLY_MENU_ITEM_SELECTORS = [
+  'li[data-testid="mi-msg-reply"]',
+  'li[aria-label="Reply"]',
+  'div[aria-label="Reply"]',
+];
+
+/**
+ * Selectors for the reaction button next to a message (shown on hover)
+ */
+export const REACTION_BUTTON_SELECTORS = [
+  'span[data-icon="react"]',
+  '[data-testid="reaction-entry-point"]',
+  'button[aria-label*="React"]',
+  'div[aria-label*="React"]',
+];
+
+/**
+ * Selectors for the conversation pane (message text lives here)
+ */
+export const CONVERSATION_PANE_SELECTORS = [
+  "#main",
+  '[data-testid="conversation-panel-wrapper"]',
+];
+
+/**
+ * Selectors for the login QR code (shown when logged out)
+ */
+export const QR_CODE_SELECTORS = [
+  'canvas[aria-label*="Scan"]',
+  '[data-testid="qrcode"] canvas',
+  "div[data-ref] canvas",
+];
+
+/**
+ * Selectors for the element carrying the login QR payload (data-ref)
+ */
+export const QR_DATA_SELECTORS = [
+  "div[data-ref]",
+  '[data-testid="qrcode"][data-ref]',
+];
+
+/**
+ * Selectors for the "reload QR code" button shown after the code expires
+ */
+export const QR_RELOAD_SELECTORS = [
+  "div[data-ref] button",
+  'span[data-icon="refresh-large"]',
+  'button[aria-label*="reload" i]',
+];
+
+/**
+ * Texts of the logged-out landing page (matched case-insensitively)
+ */
+export const LOGGED_OUT_TEXTS = [
+  "Log into WhatsApp Web",
+  "Scan the QR code",
+  "Link with phone number",
+  "امسح رمز QR",
+];
+
+/**
+ * Selectors for the "phone/computer not connected" banner icons
+ */
+export const PHONE_OFFLINE_SELECTORS = [
+  'span[data-icon="alert-phone"]',
+  'span[data-icon="alert-computer"]',
+  '[data-testid="alert-phone"]',
+];
+
+/**
+ * Texts of the "phone/computer not connected" banner
+ */
+export const PHONE_OFFLINE_TEXTS = [
+  "Phone not connected",
+  "Computer not connected",
+  "Trying to reach phone",
+  "الهاتف غير متصل",
+  "الكمبيوتر غير متصل",
+];
+
+/**
+ * Texts shown when WhatsApp Web was opened in another window or tab
+ */
+export const USE_HERE_TEXTS = [
+  "WhatsApp is open in another window",
+  "واتساب مفتوح في نافذة أخرى",
+];
+
+/**
+ * Labels of the button that takes the session back to this window
+ */
+export const USE_HERE_BUTTON_TEXTS = [
+  "Use here",
+  "الاستخدام هنا",
+  "استخدم هنا",
+];
+
 /**
  * Check if any selector matches in the document
  * @param {Array<string>} selectors - Array of CSS selectors
@@ -95,6 +288,28 @@ export default {
   CHAT_HEADER_SELECTORS,
   MESSAGE_META_SELECTORS,
   MESSAGE_CONTAINER_SELECTORS,
+  CHAT_LIST_SELECTORS,
+  CHAT_ROW_SELECTORS,
+  CHAT_ROW_TITLE_SELECTORS,
+  CHAT_ROW_PREVIEW_SELECTORS,
+  CHAT_ROW_PREVIEW_LINE_SELECTORS,
+  CHAT_ROW_SENDER_SELECTORS,
+  CHAT_ROW_GROUP_SELECTORS,
+  CHAT_ROW_TIME_SELECTORS,
+  UNREAD_BADGE_SELECTORS,
+  COMPOSER_SELECTORS,
+  MESSAGE_MENU_SELECTORS,
+  REPLY_MENU_ITEM_SELECTORS,
+  REACTION_BUTTON_SELECTORS,
+  CONVERSATION_PANE_SELECTORS,
+  QR_CODE_SELECTORS,
+  QR_DATA_SELECTORS,
+  QR_RELOAD_SELECTORS,
+  LOGGED_OUT_TEXTS,
+  PHONE_OFFLINE_SELECTORS,
+  PHONE_OFFLINE_TEXTS,
+  USE_HERE_TEXTS,
+  USE_HERE_BUTTON_TEXTS,
   checkAnySelector,
   findFirstMatch,
   extractTextFromSelectors,
@@ -0,0 +1,144 @@
+/**
+ * Tests for alarm playback with a fake custom player
+ * The player is a node one-liner that logs its pid and exits after a delay
+ */
+
+import { describe, it, before, beforeEach, afterEach, after } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "child_process";
+import { once } from "events";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { config } from "../src/config.js";
+import { alarm } from "../src/modules/alarm.js";
+
+// Constants
+const FAKE_PLAYER_SCRIPT = [
+  'require("fs").appendFileSync(process.argv[1], process.pid + "\\n");',
+  "setTimeout(() => {}, Number(process.argv[2]));",
+].join(" ");
+const LONG_TRACK_MS = 30000;
+const NORMAL_TRACK_MS = 1200; // Above the alarm's minimum track duration
+const FAST_EXIT_MS = 0;
+
+let tmpDir;
+let pidLog;
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Point the alarm at the fake player, exiting after trackMs
+ */
+async function useFakePlayer(trackMs) {
+  config.alarm.player = {
+    command: process.execPath,
+    args: ["-e", FAKE_PLAYER_SCRIPT, pidLog, String(trackMs), "{file}"],
+  };
+  alarm.backendsByExtension.clear();
+  assert.ok(await alarm.initialize());
+}
+
+/**
+ * Pids of the players started so far
+ */
+function spawnedPids() {
+  if (!fs.existsSync(pidLog)) return [];
+  return fs
+    .readFileSync(pidLog, "utf8")
+    .split("\n")
+    .filter(Boolean)
+    .map(Number);
+}
+
+describe("alarm playback", () => {
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "sa7eny-alarm-"));
+    Object.assign(config.alarm, {
+      loop: true,
+      forceVolume: false,
+      autoStopMs: 0,
+      sounds: [],
+    });
+    config.alarm.escalation = { ...config.alarm.escalation, enabled: false };
+  });
+
+  beforeEach(() => {
+    pidLog = path.join(tmpDir, `pids-${Date.now()}.log`);
+  });
+
+  afterEach(async () => {
+    await alarm.stop();
+  });
+
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("starts the next play when the player exits", async () => {
+    await useFakePlayer(NORMAL_TRACK_MS);
+    await alarm.start({});
+
+    await sleep(NORMAL_TRACK_MS * 2);
+    assert.ok(alarm.getStatus().isPlaying);
+    assert.ok(spawnedPids().length >= 2, `pids: ${spawnedPids()}`);
+  });
+
+  it("does not loop when looping is disabled", async (t) => {
+    t.after(() => {
+      config.alarm.loop = true;
+    });
+    config.alarm.loop = false;
+    await useFakePlayer(NORMAL_TRACK_MS);
+    await alarm.start({});
+
+    await sleep(NORMAL_TRACK_MS * 2);
+    assert.equal(spawnedPids().length, 1);
+  });
+
+  it("stop() kills only the player it spawned", async (t) => {
+    const bystander = spawn(
+      process.execPath,
+      ["-e", `setTimeout(() => {}, ${LONG_TRACK_MS})`],
+      { stdio: "ignore" },
+    );
+    t.after(() => bystander.kill());
+
+    await useFakePlayer(LONG_TRACK_MS);
+    await alarm.start({});
+    const [player] = alarm.audioProcesses.keys();
+    while (spawnedPids().length === 0) await sleep(20);
+    assert.deepEqual(spawnedPids(), [player.pid]);
+
+    const exited = once(player, "exit");
+    await alarm.stop();
+    await exited;
+
+    assert.equal(alarm.getStatus().activePlayers, 0);
+    assert.equal(bystander.exitCode, null);
+    assert.equal(bystander.signalCode, null);
+  });
+
+  it("waits before restarting a player that exits right away", async () => {
+    await useFakePlayer(FAST_EXIT_MS);
+    await alarm.start({});
+
+    await sleep(1500);
+    assert.equal(spawnedPids().length, 1);
+
+    await sleep(1500);
+    assert.equal(spawnedPids().length, 2);
+  });
+
+  it("does not restart after stop()", async () => {
+    await useFakePlayer(FAST_EXIT_MS);
+    await alarm.start({});
+    while (spawnedPids().length === 0) await sleep(20);
+    await alarm.stop();
+
+    await sleep(2500);
+    assert.equal(spawnedPids().length, 1);
+  });
+});
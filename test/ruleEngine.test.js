@@ -0,0 +1,41 @@
+/**
+ * Tests for regex rule patterns (raw source, raw and normalized text)
+ */
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { RuleEngine } from "../src/modules/ruleEngine.js";
+
+/**
+ * Build an engine with a single regex rule
+ */
+function regexEngine(value) {
+  return new RuleEngine([
+    { id: "regex", patterns: [{ type: "regex", value }] },
+  ]);
+}
+
+describe("regex rule patterns", () => {
+  it("keeps \\u escapes for characters normalization folds", () => {
+    const engine = regexEngine("\\u0623\\u062D\\u0645\\u062F");
+    assert.equal(engine.evaluate("أحمد غائب")?.rule, "regex");
+    assert.equal(engine.evaluate("احمد غائب"), null);
+  });
+
+  it("keeps literal characters normalization folds", () => {
+    const engine = regexEngine("^أحمد");
+    assert.equal(engine.evaluate("أحمد غائب")?.rule, "regex");
+    assert.equal(engine.evaluate("احمد غائب"), null);
+  });
+
+  it("matches decorated text with a folded pattern", () => {
+    const engine = regexEngine("غا?يا?ب");
+    assert.equal(engine.evaluate("غـــيَاب اليوم")?.rule, "regex");
+  });
+
+  it("can match bidi marks in the source", () => {
+    const engine = regexEngine("\\u200F");
+    assert.equal(engine.evaluate("‏غياب")?.rule, "regex");
+    assert.equal(engine.evaluate("غياب"), null);
+  });
+});
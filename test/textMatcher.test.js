@@ -0,0 +1,141 @@
+/**
+ * Tests for normalizeArabicText (one row per fold) and Arabizi matching
+ */
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  normalizeArabicText,
+  matchKeywords,
+} from "../src/utils/textMatcher.js";
+
+// Constants
+const ALL_FOLDS = {
+  removeDiacritics: true,
+  foldAlef: true,
+  foldYaa: true,
+  foldTaaMarbuta: true,
+  convertDigits: true,
+  stripBidi: true,
+};
+const NO_FOLDS = {};
+const ARABIZI_KEYWORDS = [
+  "باب",
+  "غياب",
+  "حضور",
+  "مدير",
+  "امتحان",
+  "عاجل",
+  "بيت",
+];
+const ARABIZI_ON = { arabizi: true, wholeWordMatch: true };
+
+// [name, option that controls it, input, normalized output]
+const FOLD_CASES = [
+  ["fatha", "removeDiacritics", "كَتب", "كتب"],
+  ["damma", "removeDiacritics", "كتُب", "كتب"],
+  ["kasra", "removeDiacritics", "كتِب", "كتب"],
+  ["sukun", "removeDiacritics", "كتْب", "كتب"],
+  ["shadda", "removeDiacritics", "مدّرس", "مدرس"],
+  ["tanween fath", "removeDiacritics", "شكراً", "شكرا"],
+  ["tanween damm", "removeDiacritics", "كتابٌ", "كتاب"],
+  ["tanween kasr", "removeDiacritics", "كتابٍ", "كتاب"],
+  ["superscript alef", "removeDiacritics", "هٰذا", "هذا"],
+  ["alef with hamza above", "foldAlef", "أحمد", "احمد"],
+  ["alef with hamza below", "foldAlef", "إسلام", "اسلام"],
+  ["alef with madda", "foldAlef", "آخر", "اخر"],
+  ["alef wasla", "foldAlef", "ٱلله", "الله"],
+  ["decomposed hamza below", "foldAlef", "\u0627\u0655سلام", "اسلام"],
+  ["alef maksura", "foldYaa", "مستشفى", "مستشفي"],
+  ["taa marbuta", "foldTaaMarbuta", "مدرسة", "مدرسه"],
+  ["Arabic-Indic digits", "convertDigits", "٠١٢٣٤٥٦٧٨٩", "0123456789"],
+  ["Extended Arabic-Indic digits", "convertDigits", "۰۱۲۳۴۵۶۷۸۹", "0123456789"],
+  ["Arabic letter mark", "stripBidi", "غياب\u061C", "غياب"],
+  ["left-to-right embedding", "stripBidi", "\u202Aغياب\u202C", "غياب"],
+  ["right-to-left override", "stripBidi", "\u202Eغياب\u202C", "غياب"],
+  ["first strong isolate", "stripBidi", "\u2068غياب\u2069", "غياب"],
+  ["right-to-left isolate", "stripBidi", "\u2067غياب\u2069", "غياب"],
+];
+
+// Always applied, whatever the options
+const BASE_CASES = [
+  ["tatweel", "غـــياب", "غياب"],
+  ["zero-width joiner", "غي\u200Dاب", "غياب"],
+  ["right-to-left mark", "\u200Fغياب", "غياب"],
+  ["soft hyphen", "غي\u00ADاب", "غياب"],
+];
+
+describe("normalizeArabicText", () => {
+  for (const [name, option, input, expected] of FOLD_CASES) {
+    it(`folds ${name}`, () => {
+      assert.equal(normalizeArabicText(input, ALL_FOLDS), expected);
+    });
+
+    it(`keeps ${name} when ${option} is off`, () => {
+      const options = { ...ALL_FOLDS, [option]: false };
+      assert.notEqual(normalizeArabicText(input, options), expected);
+    });
+  }
+
+  for (const [name, input, expected] of BASE_CASES) {
+    it(`removes ${name}`, () => {
+      assert.equal(normalizeArabicText(input, NO_FOLDS), expected);
+    });
+  }
+
+  it("applies every fold in one pass", () => {
+    assert.equal(
+      normalizeArabicText("\u2067إِدارةُ مستشفى ٱلأمل ١٢\u2069", ALL_FOLDS),
+      "اداره مستشفي الامل 12",
+    );
+  });
+
+  it("returns an empty string for empty input", () => {
+    assert.equal(normalizeArabicText("", ALL_FOLDS), "");
+    assert.equal(normalizeArabicText(null, ALL_FOLDS), "");
+  });
+});
+
+describe("Arabizi matching", () => {
+  const englishTexts = [
+    "but why",
+    "I bought a bat",
+    "bait",
+    "see you tomorrow bob",
+    "she shot the ghost at 3 pm",
+    "night shift 2morrow",
+    "high ghetto",
+  ];
+  for (const text of englishTexts) {
+    it(`does not match English: "${text}"`, () => {
+      assert.equal(matchKeywords(text, ARABIZI_KEYWORDS, ARABIZI_ON), false);
+    });
+  }
+
+  const arabiziTexts = ["3'eyab enharda", "gheyab", "ghiab", "3agel ya gama3a"];
+  for (const text of arabiziTexts) {
+    it(`matches Arabizi: "${text}"`, () => {
+      assert.equal(matchKeywords(text, ARABIZI_KEYWORDS, ARABIZI_ON), true);
+    });
+  }
+
+  it("matches a transliteration next to Arabic words", () => {
+    assert.ok(matchKeywords("el 3'eyab النهارده", ["غياب"], ARABIZI_ON));
+  });
+
+  it("follows the match mode", () => {
+    assert.equal(matchKeywords("el3'eyab", ["غياب"], { arabizi: true }), false);
+    assert.ok(
+      matchKeywords("el3'eyab", ["غياب"], { arabizi: true, mode: "stem" }),
+    );
+  });
+
+  it("is skipped for case-sensitive matching", () => {
+    const options = { arabizi: true, caseSensitive: true };
+    assert.equal(matchKeywords("gheyab", ["غياب"], options), false);
+  });
+
+  it("is off by default", () => {
+    assert.equal(matchKeywords("gheyab", ["غياب"]), false);
+  });
+});
@@ -0,0 +1,151 @@
+/**
+ * Tests for webhook delivery against a local HTTP stand-in
+ */
+
+import { describe, it, before, beforeEach, after } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import fs from "fs";
+import http from "http";
+import os from "os";
+import path from "path";
+import { config } from "../src/config.js";
+import { webhooks } from "../src/modules/webhooks.js";
+
+// Constants
+const SECRET = "test-secret";
+const RETRY_DELAY_MS = 50;
+const MAX_RETRIES = 2;
+const DETECTION = {
+  keyword: "غياب",
+  rule: "absence",
+  chatName: "Work Group",
+  sender: "Ahmed",
+  isGroup: true,
+  text: "النهارده غياب",
+  timestamp: "2026-01-01T08:00:00.000Z",
+};
+
+let server;
+let tmpDir;
+let requests; // { headers, body, receivedAt } per request
+let statusCode; // What the stand-in answers
+
+function readOutboxFile() {
+  return JSON.parse(fs.readFileSync(webhooks.outboxPath, "utf8"));
+}
+
+describe("webhooks", () => {
+  before(async () => {
+    server = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", (chunk) => (body += chunk));
+      req.on("end", () => {
+        requests.push({ headers: req.headers, body, receivedAt: Date.now() });
+        res.writeHead(statusCode);
+        res.end();
+      });
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "sa7eny-webhooks-"));
+    webhooks.outboxPath = path.join(tmpDir, "outbox.json");
+    config.webhooks.enabled = true;
+    config.webhooks.targets = [
+      {
+        name: "stand-in",
+        url: `http://127.0.0.1:${server.address().port}/hook`,
+        secret: SECRET,
+      },
+    ];
+    config.resilience.maxRetries = MAX_RETRIES;
+    config.resilience.retryDelayMs = RETRY_DELAY_MS;
+  });
+
+  beforeEach(() => {
+    requests = [];
+    statusCode = 200;
+    webhooks.outbox = [];
+    fs.rmSync(webhooks.outboxPath, { force: true });
+  });
+
+  after(async () => {
+    webhooks.stop();
+    await new Promise((resolve) => server.close(resolve));
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("signs the body with HMAC-SHA256", async () => {
+    await webhooks.dispatch(DETECTION);
+
+    assert.equal(requests.length, 1);
+    const [{ headers, body }] = requests;
+    const expected = crypto
+      .createHmac("sha256", SECRET)
+      .update(body)
+      .digest("hex");
+    assert.equal(headers["x-sa7eny-signature"], `sha256=${expected}`);
+    assert.ok(headers["x-sa7eny-delivery"]);
+    assert.equal(headers["content-type"], "application/json");
+
+    const payload = JSON.parse(body);
+    assert.equal(payload.event, "detection");
+    assert.equal(payload.keyword, DETECTION.keyword);
+    assert.equal(payload.chat, DETECTION.chatName);
+    assert.equal(payload.text, DETECTION.text);
+  });
+
+  it("empties the outbox once delivered", async () => {
+    await webhooks.dispatch(DETECTION);
+
+    assert.equal(webhooks.outbox.length, 0);
+    assert.deepEqual(readOutboxFile(), []);
+  });
+
+  it("retries with exponential backoff", async () => {
+    statusCode = 500;
+    await webhooks.dispatch(DETECTION);
+
+    assert.equal(requests.length, MAX_RETRIES + 1);
+    const gaps = requests
+      .slice(1)
+      .map((request, i) => request.receivedAt - requests[i].receivedAt);
+    assert.ok(gaps[0] >= RETRY_DELAY_MS, `gaps: ${gaps}`);
+    assert.ok(gaps[1] >= RETRY_DELAY_MS * 2, `gaps: ${gaps}`);
+
+    const ids = new Set(requests.map((r) => r.headers["x-sa7eny-delivery"]));
+    assert.equal(ids.size, 1);
+  });
+
+  it("keeps undelivered payloads on disk while the target is down", async () => {
+    statusCode = 503;
+    await webhooks.dispatch(DETECTION);
+
+    const saved = readOutboxFile();
+    assert.equal(saved.length, 1);
+    assert.equal(saved[0].target, "stand-in");
+    assert.equal(saved[0].attempts, MAX_RETRIES + 1);
+    assert.equal(saved[0].payload.text, DETECTION.text);
+  });
+
+  it("redelivers the outbox after a restart once the target is back", async () => {
+    statusCode = 503;
+    await webhooks.dispatch(DETECTION);
+    const [{ id }] = readOutboxFile();
+
+    // Simulate a restart: only the file survives
+    webhooks.outbox = [];
+    config.webhooks.outboxRetryIntervalMs = 60000;
+    statusCode = 200;
+    requests = [];
+    await webhooks.initialize();
+    webhooks.stop();
+    while (webhooks.isFlushing) {
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+
+    assert.equal(requests.length, 1);
+    assert.equal(requests[0].headers["x-sa7eny-delivery"], id);
+    assert.deepEqual(readOutboxFile(), []);
+  });
+});